@@ -0,0 +1,295 @@
+/*
+Flower Catalog - JSON Manifest Loader
+
+Loads the flower set from a JSON manifest (flowers.json) instead of hard-coded
+preload() calls, so flower sets can be curated without touching sketch.js.
+The manifest is validated entry by entry: bad entries are skipped, missing
+images are replaced by placeholders, and every problem is listed on screen.
+
+Manifest format:
+{
+  "version": 1,
+  "flowers": [
+    {
+      "id": "rose",                          // Unique id (lowercase letters, digits, dashes)
+      "name": "rose",                        // Display name, also the first spoken name
+      "scientificName": "Rosa",              // Optional, shown on the info card
+      "synonyms": ["rosa", "queen of flowers"],
+      "image": "rose.jpg",                   // Base image shown on the TV screen
+      "channels": { "r": "roser.jpg", "g": "roseg.jpg", "b": "roseb.jpg" },
+      "thumbnail": "roset.jpg",              // Optional 160x130 preview
+      "label": "roselabel.png",              // Optional pre-rendered label, replaces the text label
+      "names": { "de": ["rose"], "bg": ["роза"] }, // Optional names per locale (see locales.js)
+      "colors": ["red", "pink"],             // Optional color ids for "show me something red"
+      "seasons": ["summer", "autumn"],       // Optional bloom seasons for "spring flowers"
+      "origins": ["asia"],                   // Optional regions of origin for "flowers from Asia"
+      "description": { "en": "The classic flower of love." }, // Optional, read by the narrator
+      "symbolism": { "en": "love" }          // Optional, "Symbol of love." on the info card
+    }
+  ]
+}
+
+Color, season and region ids are listed with their words in locales.js;
+description and symbolism are text, or text per locale.
+
+Key Variables:
+- catalogReady: True once the manifest and all of its images have settled
+- catalogErrors: List of human-readable problems found while loading
+- crtTVFlowers: Validated manifest entries, parallel to the crtTV* arrays
+- crtTVMissingImages: Indices of flowers shown without their base image
+
+Key Functions:
+- loadCatalog(path, onDone): Loads the manifest, fills the crtTV* arrays and labels
+- validateManifest(manifest): Checks a parsed manifest, returns { flowers, errors }
+- catalogAssetPaths(manifest): Every image file the manifest names, for the service worker
+- localizeCatalog(): Refreshes names and labels for the current locale
+- isCatalogReportVisible(): Whether the problem report should be on screen
+- catalogReportMessage(): The problem report as a message for the label plane (see messages.js)
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+const CATALOG_REPORT_MS = 10000; // How long the problem report stays on screen
+const CATALOG_ID_PATTERN = /^[a-z0-9-]+$/;
+const CATALOG_CHANNELS = ['r', 'g', 'b'];
+const CATALOG_OPTIONAL_ASSETS = ['thumbnail', 'label'];
+const CATALOG_ATTRIBUTES = ['colors', 'seasons', 'origins'];   // Lists of ids, searchable (see voiceCommands.js)
+const CATALOG_TEXTS = ['description', 'symbolism'];           // Text, or text per locale
+
+let catalogReady = false;   // Manifest and images finished loading (with or without errors)
+let catalogErrors = [];     // Problems found in the manifest or its assets
+let catalogLoadedTime = 0;  // millis() when loading finished
+let crtTVFlowers = [];      // Validated manifest entries
+let crtTVThumbnails = [];   // Optional thumbnails, undefined where the manifest has none
+let crtTVLabelImages = [];  // Optional pre-rendered labels (default locale only)
+let crtTVMissingImages = new Set(); // Indices whose base image did not load; only their channels show the flower
+
+// ==============================================
+// VALIDATE - Check a parsed manifest
+// ==============================================
+// Returns the usable entries (normalized) and a list of problems.
+// Entries with problems are skipped; the rest of the catalog still loads.
+function validateManifest(manifest) {
+  const flowers = [];
+  const errors = [];
+
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.flowers)) {
+    errors.push('Manifest must be an object with a "flowers" array.');
+    return { flowers, errors };
+  }
+  if (manifest.flowers.length === 0) {
+    errors.push('Manifest lists no flowers.');
+  }
+
+  const seenIds = new Set();
+  manifest.flowers.forEach((entry, i) => {
+    const label = entry && typeof entry.id === 'string' ? `flowers[${i}] (${entry.id})` : `flowers[${i}]`;
+    const problems = [];
+
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label}: entry must be an object.`);
+      return;
+    }
+    if (typeof entry.id !== 'string' || !CATALOG_ID_PATTERN.test(entry.id)) {
+      problems.push('"id" must use lowercase letters, digits or dashes');
+    } else if (seenIds.has(entry.id)) {
+      problems.push(`duplicate id "${entry.id}"`);
+    }
+    if (!isNonEmptyString(entry.name)) {
+      problems.push('missing "name"');
+    }
+    if (entry.synonyms !== undefined &&
+        (!Array.isArray(entry.synonyms) || !entry.synonyms.every(isNonEmptyString))) {
+      problems.push('"synonyms" must be a list of names');
+    }
+    if (!isNonEmptyString(entry.image)) {
+      problems.push('missing "image"');
+    }
+    if (!entry.channels || typeof entry.channels !== 'object') {
+      problems.push('missing "channels"');
+    } else {
+      for (const channel of CATALOG_CHANNELS) {
+        if (!isNonEmptyString(entry.channels[channel])) {
+          problems.push(`missing "channels.${channel}"`);
+        }
+      }
+    }
+
+    if (entry.names !== undefined &&
+        (!entry.names || typeof entry.names !== 'object' || Array.isArray(entry.names) ||
+         !Object.values(entry.names).every(list => Array.isArray(list) && list.length > 0 && list.every(isNonEmptyString)))) {
+      problems.push('"names" must map locales to lists of names');
+    }
+    if (entry.scientificName !== undefined && !isNonEmptyString(entry.scientificName)) {
+      problems.push('"scientificName" must be text');
+    }
+    for (const field of CATALOG_ATTRIBUTES) {
+      if (entry[field] !== undefined &&
+          (!Array.isArray(entry[field]) || !entry[field].every(isNonEmptyString))) {
+        problems.push(`"${field}" must be a list of ids`);
+      }
+    }
+    for (const field of CATALOG_TEXTS) {
+      if (entry[field] !== undefined && !isNonEmptyString(entry[field]) &&
+          (!entry[field] || typeof entry[field] !== 'object' ||
+           !Object.values(entry[field]).every(isNonEmptyString))) {
+        problems.push(`"${field}" must be text or map locales to text`);
+      }
+    }
+    for (const field of CATALOG_OPTIONAL_ASSETS) {
+      if (entry[field] !== undefined && !isNonEmptyString(entry[field])) {
+        problems.push(`"${field}" must be a file path`);
+      }
+    }
+
+    if (problems.length > 0) {
+      errors.push(`${label}: ${problems.join(', ')}.`);
+      return;
+    }
+
+    seenIds.add(entry.id);
+    flowers.push({
+      ...entry,
+      name: entry.name.trim().toLowerCase(),
+      synonyms: (entry.synonyms || []).map(s => s.trim().toLowerCase()),
+      names: Object.fromEntries(Object.entries(entry.names || {})
+        .map(([locale, list]) => [locale, list.map(s => s.trim().toLowerCase())]))
+    });
+  });
+
+  return { flowers, errors };
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Every image file of the valid entries, for precaching (see serviceWorker.js)
+function catalogAssetPaths(manifest) {
+  const paths = [];
+  for (const flower of validateManifest(manifest).flowers) {
+    paths.push(flower.image, ...CATALOG_CHANNELS.map(channel => flower.channels[channel]));
+    for (const asset of CATALOG_OPTIONAL_ASSETS) {
+      if (flower[asset]) paths.push(flower[asset]);
+    }
+  }
+  return [...new Set(paths)];
+}
+
+// ==============================================
+// LOAD - Manifest, images and labels
+// ==============================================
+// Loads outside of preload() so a missing or broken manifest is reported
+// instead of leaving p5 stuck on its loading screen.
+function loadCatalog(path, onDone) {
+  loadJSON(path, (manifest) => {
+    const result = validateManifest(manifest);
+    catalogErrors.push(...result.errors);
+
+    if (result.flowers.length === 0) {
+      finishCatalog(onDone);
+      return;
+    }
+
+    let pending = 0;
+    const load = (list, i, flower, assetPath, fallback) => {
+      pending++;
+      loadCatalogImage(list, i, flower, assetPath, fallback, () => {
+        pending--;
+        if (pending === 0) finishCatalog(onDone);
+      });
+    };
+
+    result.flowers.forEach((flower, i) => {
+      crtTVFlowers.push(flower);
+      crtTVNames.push(localizedFlowerNames(flower));
+      load(crtTVImages, i, flower, flower.image, () => {
+        crtTVMissingImages.add(i);
+        return createMissingImage(flower.name);
+      });
+      load(crtTVImagesR, i, flower, flower.channels.r, () => createMissingImage(null));
+      load(crtTVImagesG, i, flower, flower.channels.g, () => createMissingImage(null));
+      load(crtTVImagesB, i, flower, flower.channels.b, () => createMissingImage(null));
+      if (flower.thumbnail) load(crtTVThumbnails, i, flower, flower.thumbnail, () => null);
+      if (flower.label) load(crtTVLabelImages, i, flower, flower.label, () => null);
+    });
+  }, () => {
+    catalogErrors.push(`Could not load or parse "${path}".`);
+    finishCatalog(onDone);
+  });
+}
+
+// Loads one image into list[index], swapping in fallback() if it fails
+function loadCatalogImage(list, index, flower, path, fallback, onSettled) {
+  list[index] = loadImage(path, onSettled, () => {
+    catalogErrors.push(`${flower.id}: could not load "${path}".`);
+    list[index] = fallback();
+    onSettled();
+  });
+}
+
+// Grey card naming the flower for base images, transparent for channels
+function createMissingImage(flowerName) {
+  const g = createGraphics(160, 130);
+  if (flowerName) {
+    g.background(90);
+    g.fill(230);
+    g.textSize(14);
+    g.textAlign(CENTER, CENTER);
+    g.text(flowerName + "\nimage missing", g.width / 2, g.height / 2);
+  }
+  return g;
+}
+
+function finishCatalog(onDone) {
+  createFlowerLabels();
+  catalogErrors.forEach(error => console.warn('⚠️ Catalog: ' + error));
+  console.log(`✅ Catalog loaded: ${crtTVFlowers.length} flowers, ${catalogErrors.length} problems`);
+
+  catalogLoadedTime = millis();
+  catalogReady = true;
+  if (onDone) onDone();
+}
+
+// Pick each flower's label: the pre-rendered one in the default locale if it
+// loaded, otherwise null and the sketch draws a text label on demand (see messages.js)
+function createFlowerLabels() {
+  for (let i = 0; i < crtTVNames.length; i++) {
+    let useImage = currentLocale === DEFAULT_LOCALE && crtTVLabelImages[i];
+    crtTVGraphics[i] = useImage ? crtTVLabelImages[i] : null;
+  }
+}
+
+// Re-read names and labels after a locale change
+function localizeCatalog() {
+  crtTVFlowers.forEach((flower, i) => {
+    crtTVNames[i] = localizedFlowerNames(flower);
+  });
+  if (catalogReady) createFlowerLabels();
+}
+
+// ==============================================
+// REPORT - On-screen list of catalog problems
+// ==============================================
+// Built when shown, so it follows the current locale; the problems
+// themselves stay in English like the console
+function catalogReportMessage() {
+  const maxLines = 8;
+  let lines = catalogErrors.slice(0, maxLines);
+  if (catalogErrors.length > maxLines) {
+    lines.push(t('catalogMoreProblems', { count: catalogErrors.length - maxLines }));
+  }
+  return createMessage([t('catalogProblems'), ...lines].join('\n'), { key: 'catalogProblems', theme: 'warning' });
+}
+
+// Shown for a while after loading, and for good if no flower could be used
+function isCatalogReportVisible() {
+  if (!catalogReady || catalogErrors.length === 0) return false;
+  return crtTVImages.length === 0 || millis() - catalogLoadedTime < CATALOG_REPORT_MS;
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { validateManifest, catalogAssetPaths };
+}
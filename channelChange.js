@@ -0,0 +1,141 @@
+/*
+Channel Change - Animated transitions between flowers
+
+Changing the flower on the TV plays a transition instead of swapping the
+picture, like switching channels on an old set. What caused the change picks
+the transition (CHANNEL_TRIGGERS):
+- static: Burst of static, the new flower comes out of the noise
+- roll: The picture rolls up and the new one follows from below (vertical hold)
+- squeeze: Power off to a line and a dot, then power on with the new flower
+- crossfade: The old flower fades into the new one
+
+The label changes with the picture: it fades out until the middle of the
+transition and back in with the new flower's name (squeezed too on a power
+cycle).
+
+Rapid changes: a change while the old flower is still on screen (the first
+half) retargets the running transition, so the in-between flower is skipped;
+changing back to the old flower cancels it. Later changes wait for the
+transition to end; only the latest waiting change is kept.
+
+The sketch draws the effect (see crtShader.js); with ?crt=0 only the squeeze
+and the swap at the middle show.
+
+Key Functions:
+- createChannelChanger(options): changer.change(from, to, trigger), changer.current(), changer.reset();
+  trigger is a key of CHANNEL_TRIGGERS, or a transition to play it directly
+- channelEffect(frame): Shader and label values for a frame from changer.current()
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const CHANNEL_TRANSITIONS = {
+  static: { durationMs: 500 },
+  roll: { durationMs: 450 },
+  squeeze: { durationMs: 600 },
+  crossfade: { durationMs: 400 }
+};
+
+// What caused a change -> transition
+const CHANNEL_TRIGGERS = {
+  step: 'roll',         // Next / previous: nods, arrow keys, swipes, "next"
+  speech: 'crossfade',  // A spoken name, color or confirmed suggestion
+  miss: 'static',       // Nothing understood, a random flower instead
+  random: 'static',     // "random", head shake
+  pick: 'squeeze',      // Flower picker
+  back: 'squeeze'       // "go back"
+};
+
+// ==============================================
+// CHANGER - Running and waiting transitions
+// ==============================================
+// options.clock(): Current time in ms (default Date.now)
+function createChannelChanger(options = {}) {
+  const clock = options.clock || (() => Date.now());
+
+  let active = null;   // { from, to, transition, start }
+  let waiting = null;  // { to, trigger }
+
+  function change(from, to, trigger) {
+    const transition = CHANNEL_TRIGGERS[trigger] || (CHANNEL_TRANSITIONS[trigger] ? trigger : 'crossfade');
+    const frame = current();
+    if (!frame) {
+      if (from !== to) active = { from, to, transition, start: clock() };
+      return;
+    }
+    if (frame.progress < 0.5) {
+      // The old flower is still on screen: go straight to the newest one
+      if (to === active.from) active = null;
+      else active.to = to;
+      waiting = null;
+      return;
+    }
+    waiting = { to, trigger };
+  }
+
+  // { from, to, transition, progress 0-1 } while a transition runs, else null
+  function current() {
+    if (!active) return null;
+    let progress = (clock() - active.start) / CHANNEL_TRANSITIONS[active.transition].durationMs;
+    if (progress >= 1) {
+      const next = waiting;
+      const from = active.to;
+      active = null;
+      waiting = null;
+      if (next && next.to !== from) change(from, next.to, next.trigger);
+      if (!active) return null;
+      progress = 0;
+    }
+    return { from: active.from, to: active.to, transition: active.transition, progress };
+  }
+
+  function reset() {
+    active = null;
+    waiting = null;
+  }
+
+  return { change, current, reset };
+}
+
+// ==============================================
+// EFFECT - What a frame of a transition looks like
+// ==============================================
+// Returns { swapped, mix, roll, squeeze: [x, y], static, label: { opacity, scale: [x, y] } }:
+// swapped once the new flower is the main picture, mix of the new flower over the old
+// (0-1), roll of the picture in screen heights, squeeze of the picture (1 = full size),
+// static over the picture (0-1)
+function channelEffect(frame) {
+  const steady = { swapped: true, mix: 1, roll: 0, squeeze: [1, 1], static: 0, label: { opacity: 1, scale: [1, 1] } };
+  if (!frame) return steady;
+
+  const p = frame.progress;
+  const swapped = p >= 0.5;
+  const smooth = p * p * (3 - 2 * p);
+  const label = { opacity: Math.abs(p - 0.5) * 2, scale: [1, 1] };
+
+  switch (frame.transition) {
+    case 'crossfade':
+      return { ...steady, swapped, mix: smooth, label };
+    case 'static':
+      return { ...steady, swapped, mix: swapped ? 1 : 0, static: Math.sin(Math.PI * p), label };
+    case 'roll':
+      return { ...steady, swapped, mix: 0, roll: smooth, label };
+    case 'squeeze': {
+      // 1 -> 0 while powering off, 0 -> 1 while powering on
+      const power = swapped ? (p - 0.5) * 2 : 1 - p * 2;
+      const squeeze = [
+        Math.max(0.005, Math.min(1, power / 0.3)),        // Line to dot at the end
+        Math.max(0.01, Math.min(1, (power - 0.3) / 0.7))  // Picture to line first
+      ];
+      return { ...steady, swapped, mix: swapped ? 1 : 0, squeeze, label: { opacity: label.opacity, scale: squeeze } };
+    }
+    default:
+      return steady;
+  }
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CHANNEL_TRANSITIONS, CHANNEL_TRIGGERS, createChannelChanger, channelEffect };
+}
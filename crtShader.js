@@ -0,0 +1,232 @@
+/*
+CRT Shader - Old TV look for the screen, in one pass
+
+Draws the flower on the TV screen through a GLSL shader instead of four
+stacked half-transparent planes. From the single flower image it makes:
+- Chromatic aberration: red and blue sampled apart, following the head position
+- Barrel distortion: the picture bulges like curved glass, black beyond its edge
+- Scanlines, vignette and phosphor glow (a soft blur added back in)
+- Noise: grain plus a bright band rolling down the picture
+- Channel changes: static, roll, squeeze and crossfade from the previous
+  flower (see channelChange.js)
+
+The effect depends on the interaction state (CRT_STATES): the picture warps
+and crackles while listening, glows on a result, fills with static on a miss
+and is strongest in the kiosk's attract loop (see kiosk.js). Changes ease
+over easeMs, so states blend into each other. ?crt=0 goes back to the
+stacked planes, e.g. on a phone whose GPU struggles.
+
+Key Variables:
+- crtSettings: Current settings, including ?crt=
+
+Key Functions:
+- createCrtEffect(options): Eases the effect between states; effect.update(state) each frame
+- crtUniforms(params, pose, timeMs, effect): Shader uniforms for one TV, with the aberration from
+  its head pose and an optional channel change effect (see channelEffect())
+- readCrtSettings(): CRT_SETTINGS with ?crt= applied
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const CRT_SETTINGS = {
+  enabled: true,
+  scanlineCount: 130,    // Lines across the screen's height (the screen is 130 units high)
+  aberration: 0.06,      // Red/blue split at the canvas edge, in screen widths
+  glowRadius: 0.006,     // Blur distance for the glow, in screen widths
+  rollSpeed: 0.15,       // Screens per second the noise band rolls down
+  easeMs: 250            // Time to blend into a new state's effect
+};
+
+// Effect strength per interaction state; missing states use idle
+const CRT_STATES = {
+  idle: { distortion: 0.08, scanlines: 0.25, vignette: 0.35, glow: 0.25, noise: 0.04 },
+  listening: { distortion: 0.22, scanlines: 0.35, vignette: 0.45, glow: 0.2, noise: 0.12 },
+  recognized: { distortion: 0.06, scanlines: 0.2, vignette: 0.3, glow: 0.5, noise: 0.02 },
+  missed: { distortion: 0.12, scanlines: 0.4, vignette: 0.45, glow: 0.15, noise: 0.35 },
+  attract: { distortion: 0.16, scanlines: 0.45, vignette: 0.5, glow: 0.4, noise: 0.15 }
+};
+
+let crtSettings = readCrtSettings();
+
+// ==============================================
+// SHADERS
+// ==============================================
+// p5's attribute and matrix names (p5.js 1.x)
+const CRT_VERTEX_SHADER = `
+attribute vec3 aPosition;
+attribute vec2 aTexCoord;
+uniform mat4 uModelViewMatrix;
+uniform mat4 uProjectionMatrix;
+varying vec2 vTexCoord;
+
+void main() {
+  vTexCoord = aTexCoord;
+  gl_Position = uProjectionMatrix * uModelViewMatrix * vec4(aPosition, 1.0);
+}
+`;
+
+const CRT_FRAGMENT_SHADER = `
+precision mediump float;
+
+varying vec2 vTexCoord;
+uniform sampler2D uTexture;
+uniform sampler2D uPrevious;
+uniform float uTime;
+uniform vec2 uAberration;
+uniform float uDistortion;
+uniform float uScanlines;
+uniform float uScanlineCount;
+uniform float uVignette;
+uniform float uGlow;
+uniform float uGlowRadius;
+uniform float uNoise;
+uniform float uRollSpeed;
+uniform float uMix;
+uniform float uRoll;
+uniform vec2 uSqueeze;
+uniform float uStatic;
+
+float random(vec2 point) {
+  return fract(sin(dot(point, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+vec3 sampleChannels(sampler2D image, vec2 uv) {
+  return vec3(
+    texture2D(image, uv + uAberration).r,
+    texture2D(image, uv).g,
+    texture2D(image, uv - uAberration).b
+  );
+}
+
+// The new flower, the previous one, or both during a channel change
+vec3 picture(vec2 uv) {
+  if (uRoll > 0.0) {
+    // The old picture rolls up, the new one follows with a dark bar between them
+    float y = uv.y + uRoll;
+    float bar = smoothstep(0.0, 0.05, abs(y - 1.0));
+    if (y >= 1.0) return sampleChannels(uTexture, vec2(uv.x, y - 1.0)) * bar;
+    return sampleChannels(uPrevious, vec2(uv.x, y)) * bar;
+  }
+  if (uMix >= 1.0) return sampleChannels(uTexture, uv);
+  return mix(sampleChannels(uPrevious, uv), sampleChannels(uTexture, uv), uMix);
+}
+
+void main() {
+  // Barrel distortion: points further from the center move outward
+  vec2 centered = vTexCoord * 2.0 - 1.0;
+  vec2 uv = centered * (1.0 + uDistortion * dot(centered, centered)) * 0.5 + 0.5;
+  if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+    gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+    return;
+  }
+
+  // Power off / on: the picture squeezes to a bright line, then a dot
+  uv = (uv - 0.5) / uSqueeze + 0.5;
+  if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+    gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+    return;
+  }
+
+  // Rolling band: a bright stripe that also shifts the picture sideways a little
+  float roll = fract(uv.y - uTime * uRollSpeed);
+  float band = smoothstep(0.0, 0.04, roll) * (1.0 - smoothstep(0.04, 0.12, roll));
+  uv.x += band * uNoise * 0.02;
+
+  vec3 color = picture(uv);
+
+  // Phosphor glow: a soft copy of the picture added back in
+  vec3 glow = (
+    picture(uv + vec2(uGlowRadius, 0.0)) + picture(uv - vec2(uGlowRadius, 0.0)) +
+    picture(uv + vec2(0.0, uGlowRadius)) + picture(uv - vec2(0.0, uGlowRadius))
+  ) * 0.25;
+  color += glow * uGlow;
+  color = mix(color, vec3(1.0), 1.0 - uSqueeze.y);
+
+  // Scanlines darken between the lines
+  float line = 0.5 + 0.5 * sin(uv.y * uScanlineCount * 3.14159);
+  color *= 1.0 - uScanlines * (1.0 - line);
+
+  // Grain and the band
+  color += (random(uv + fract(uTime)) - 0.5) * uNoise;
+  color += band * uNoise * 0.5;
+
+  // Channel change static covers the picture
+  color = mix(color, vec3(random(uv * 7.0 + fract(uTime * 13.0))), uStatic);
+
+  // Vignette: darker toward the corners
+  vec2 fromCenter = uv - 0.5;
+  color *= clamp(1.0 - uVignette * dot(fromCenter, fromCenter) * 4.0, 0.0, 1.0);
+
+  gl_FragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+}
+`;
+
+// ==============================================
+// EFFECT - Strength eased between states
+// ==============================================
+// options.clock(): Current time in ms (default Date.now)
+// options.settings: Overrides for CRT_SETTINGS
+function createCrtEffect(options = {}) {
+  const clock = options.clock || (() => Date.now());
+  const settings = { ...CRT_SETTINGS, ...(options.settings || {}) };
+
+  let current = { ...CRT_STATES.idle };
+  let lastTime = null;
+
+  // state: interaction state; returns the eased strengths
+  function update(state) {
+    const now = clock();
+    const dt = lastTime === null ? 0 : now - lastTime;
+    lastTime = now;
+
+    // Same speed at any frame rate
+    const target = CRT_STATES[state] || CRT_STATES.idle;
+    const rate = 1 - Math.exp(-dt / settings.easeMs);
+    for (const name of Object.keys(current)) current[name] += (target[name] - current[name]) * rate;
+    return { ...current };
+  }
+
+  return { update, settings };
+}
+
+// params: from effect.update(); pose: { x, y } head position from -1 to 1;
+// effect: from channelEffect(), the steady picture when left out
+function crtUniforms(params, pose, timeMs, effect = channelEffect(null), settings = crtSettings) {
+  return {
+    uTime: timeMs / 1000,
+    uAberration: [pose.x * settings.aberration, pose.y * settings.aberration],
+    uDistortion: params.distortion,
+    uScanlines: params.scanlines,
+    uScanlineCount: settings.scanlineCount,
+    uVignette: params.vignette,
+    uGlow: params.glow,
+    uGlowRadius: settings.glowRadius,
+    uNoise: params.noise,
+    uRollSpeed: settings.rollSpeed,
+    uMix: effect.mix,
+    uRoll: effect.roll,
+    uSqueeze: effect.squeeze,
+    uStatic: effect.static
+  };
+}
+
+// ==============================================
+// URL PARAMETERS
+// ==============================================
+// ?crt=0: stacked planes instead of the shader
+function readCrtSettings() {
+  const settings = { ...CRT_SETTINGS };
+  if (typeof window === 'undefined' || !window.location) return settings;
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('crt')) settings.enabled = params.get('crt') !== '0';
+  return settings;
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CRT_SETTINGS, CRT_STATES, CRT_VERTEX_SHADER, CRT_FRAGMENT_SHADER,
+    createCrtEffect, crtUniforms, readCrtSettings
+  };
+}
@@ -0,0 +1,204 @@
+/*
+Event Log - What visitors did, for exhibition operators
+
+Keeps a structured log of the interaction in localStorage, so it survives
+reloads on a kiosk where the console is never seen. Operators open the
+hidden operator screen (O, or ?operator=1) for a summary and export the log
+as JSON or CSV from there.
+
+Events (EVENT_TYPES), each { time, type, ...details } with time in ms since 1970:
+- face-acquired / face-lost: A visitor took control or left ({ viewer })
+- mouth-open / mouth-close: Mouth state after hysteresis
+- listening-start / listening-end: Recognition ran ({ reason } when it ended without a result)
+- transcript: What was heard or typed ({ text, source })
+- match / miss: How an attempt ended: a flower ({ flower, score }, or { flower, confirmed }
+  after "Did you mean X?"), a command ({ command }), or nothing ({ heard }, { heard, declined }
+  when the suggestion was turned down, { reason } when nothing was heard)
+- suggest: "Did you mean X?" was asked ({ heard, suggested, score }); the answer logs the match or miss
+- locale: The language was switched by voice ({ locale }); neither a match nor a miss
+- gesture: A gesture ran its action ({ gesture, action })
+- flower: A flower was shown ({ flower, how }, see viewingHistory.js)
+- error: Camera, speech, catalog, TV model or script problems ({ source, message })
+
+The log keeps the latest maxEvents; older ones are dropped.
+
+Key Functions:
+- createEventLog(options): log.add(type, details), log.events(), log.clear(), log.flush()
+- summarizeEvents(events): Visits, average visit length, miss rate, most requested flowers
+- eventsToCSV(events): One row per event, a column per detail
+*/
+
+// In Node, load the helpers the browser gets as globals from viewingHistory.js
+if (typeof module !== 'undefined' && module.exports) {
+  var { defaultStorage } = require('./viewingHistory.js');
+}
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const EVENT_LOG_SETTINGS = {
+  storageKey: 'crtTV.events',
+  maxEvents: 2000,     // Oldest events are dropped beyond this
+  saveMs: 2000,        // Write to storage at most this often; flush() writes at once
+  topFlowers: 5        // Most requested flowers in the summary
+};
+
+const EVENT_TYPES = [
+  'face-acquired', 'face-lost', 'mouth-open', 'mouth-close', 'listening-start', 'listening-end',
+  'transcript', 'match', 'miss', 'suggest', 'locale', 'gesture', 'flower', 'error'
+];
+
+// ==============================================
+// LOG
+// ==============================================
+// options.clock(): Current time in ms since 1970 (default Date.now)
+// options.storage: Storage to keep the log in (default localStorage, null for none)
+// options.settings: Overrides for EVENT_LOG_SETTINGS
+function createEventLog(options = {}) {
+  const clock = options.clock || (() => Date.now());
+  const settings = { ...EVENT_LOG_SETTINGS, ...(options.settings || {}) };
+  const storage = options.storage !== undefined ? options.storage : defaultStorage();
+
+  let log = read().filter(event => event && EVENT_TYPES.includes(event.type) && Number.isFinite(event.time));
+  let savedAt = -Infinity;
+  let unsaved = false;
+
+  function add(type, details = {}) {
+    if (!EVENT_TYPES.includes(type)) return null;
+    const event = { time: clock(), type, ...details };
+    log.push(event);
+    if (log.length > settings.maxEvents) log = log.slice(-settings.maxEvents);
+    unsaved = true;
+    if (event.time - savedAt >= settings.saveMs) flush();
+    return event;
+  }
+
+  function clear() {
+    log = [];
+    unsaved = true;
+    flush();
+  }
+
+  function flush() {
+    if (!unsaved || !storage) return;
+    try {
+      storage.setItem(settings.storageKey, JSON.stringify(log));
+      savedAt = clock();
+      unsaved = false;
+    } catch (error) {
+      console.log('⚠️ Could not store the event log');
+    }
+  }
+
+  function read() {
+    try {
+      const stored = storage ? JSON.parse(storage.getItem(settings.storageKey)) : null;
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return []; // Damaged entry: start over
+    }
+  }
+
+  return {
+    add,
+    events: () => log.map(event => ({ ...event })),
+    clear,
+    flush,
+    settings
+  };
+}
+
+// ==============================================
+// SUMMARY - For the operator screen
+// ==============================================
+// Returns { visits, averageVisitMs, recognitions, matches, misses, suggestions, missRate,
+// topFlowers: [{ flower, count }], since }. Each attempt counts once, by how it ended: a
+// suggestion is settled by the match or miss of its answer, and counts as a miss when the
+// visitor leaves or another suggestion comes first.
+function summarizeEvents(events, settings = EVENT_LOG_SETTINGS) {
+  // A visit runs from a face being acquired to it being lost
+  const visitLengths = [];
+  let visitStart = null;
+  const requested = {};
+  let matches = 0;
+  let misses = 0;
+  let recognitions = 0;
+  let suggestions = 0;
+  let unanswered = false; // A suggestion waits for its answer
+
+  for (const event of events) {
+    switch (event.type) {
+      case 'face-acquired':
+        if (visitStart === null) visitStart = event.time;
+        break;
+      case 'face-lost':
+        if (unanswered) misses++;
+        unanswered = false;
+        if (visitStart !== null) visitLengths.push(event.time - visitStart);
+        visitStart = null;
+        break;
+      case 'listening-start':
+        recognitions++;
+        break;
+      case 'suggest':
+        suggestions++;
+        if (unanswered) misses++;
+        unanswered = true;
+        break;
+      case 'match':
+        unanswered = false;
+        matches++;
+        if (event.flower) requested[event.flower] = (requested[event.flower] || 0) + 1;
+        break;
+      case 'miss':
+        unanswered = false;
+        misses++;
+        break;
+    }
+  }
+
+  const topFlowers = Object.entries(requested)
+    .map(([flower, count]) => ({ flower, count }))
+    .sort((a, b) => b.count - a.count || a.flower.localeCompare(b.flower))
+    .slice(0, settings.topFlowers);
+
+  return {
+    visits: visitLengths.length,
+    averageVisitMs: visitLengths.length ? visitLengths.reduce((sum, ms) => sum + ms, 0) / visitLengths.length : 0,
+    recognitions,
+    matches,
+    misses,
+    suggestions,
+    missRate: matches + misses ? misses / (matches + misses) : 0,
+    topFlowers,
+    since: events.length ? events[0].time : null
+  };
+}
+
+// ==============================================
+// EXPORT
+// ==============================================
+// Columns: time (ISO 8601), type, then every detail that occurs, in order of appearance
+function eventsToCSV(events) {
+  const columns = ['time', 'type'];
+  for (const event of events) {
+    for (const name of Object.keys(event)) {
+      if (!columns.includes(name)) columns.push(name);
+    }
+  }
+
+  const cell = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = events.map(event => columns.map(name => (
+    name === 'time' ? new Date(event.time).toISOString() : cell(event[name])
+  )).join(','));
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EVENT_LOG_SETTINGS, EVENT_TYPES, createEventLog, summarizeEvents, eventsToCSV };
+}
@@ -0,0 +1,264 @@
+/*
+Gestures - Face gesture detectors and gesture-to-action bindings
+
+Detects gestures from per-frame face features the sketch measures with
+FaceMesh. Lengths are ratios of the face width, so they work at any distance
+from the camera; smile and eyebrow raise compare against the visitor's own
+resting face (a slow running average), not a fixed value.
+
+Gestures:
+- nod-down / nod-up: Fast vertical nose movement
+- shake: Nose swings left and right three times within shakeWindowMs
+- blink: Both eyes closed briefly (not bound by default; people blink all the time)
+- long-blink: Both eyes closed for longBlinkMs
+- smile: Mouth corners wider than at rest, held for smileHoldMs
+- eyebrow-raise: Brows higher above the eyes than at rest, held for browHoldMs
+- tilt-left / tilt-right: Head tilted more than tiltDegrees, held for tiltHoldMs
+  (left and right as seen on screen; not bound by default, since visitors tilt
+  their heads while looking; bind them to debug or locale in gestures.json)
+
+Which gesture does what is set in gestures.json, so an installation can remap
+or switch off gestures without code changes:
+  { "bindings": { "nod-down": "next", "smile": "favorite", "blink": null },
+    "settings": { "longBlinkMs": 1000 } }
+Gestures missing from the file are not bound. Without the file the defaults
+in DEFAULT_GESTURE_BINDINGS apply. Opening the mouth always starts listening
+and is not part of the table.
+
+Actions: next, previous, random, back, whatIsThis, favorite, mute (toggle),
+debug (toggle measurement display), locale (next language)
+
+Key Variables:
+- gestureBindings: Current gesture-to-action table
+- gestureSettings: Current detector settings
+
+Key Functions:
+- createGestureDetector(options): Detector; detector.update(features) returns the gestures of this frame
+- validateGestureConfig(config): { bindings, settings, errors } from a gestures.json object
+- loadGestureBindings(path, onDone): Loads gestures.json into gestureBindings and gestureSettings
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const GESTURES = [
+  'nod-down', 'nod-up', 'shake', 'blink', 'long-blink',
+  'smile', 'eyebrow-raise', 'tilt-left', 'tilt-right'
+];
+
+const GESTURE_ACTIONS = ['next', 'previous', 'random', 'back', 'whatIsThis', 'favorite', 'mute', 'debug', 'locale'];
+
+const DEFAULT_GESTURE_BINDINGS = {
+  'nod-down': 'next',
+  'nod-up': 'previous',
+  'shake': 'random',
+  'blink': null,
+  'long-blink': 'mute',
+  'smile': 'favorite',
+  'eyebrow-raise': 'whatIsThis',
+  'tilt-left': null,
+  'tilt-right': null
+};
+
+const GESTURE_SETTINGS = {
+  nodSpeed: 500,        // Vertical nose speed for a nod, in px/s
+  nodRepeatMs: 500,     // Minimum time between two nods
+  shakeSpeed: 400,      // Horizontal nose speed that counts as a swing, in px/s
+  shakeWindowMs: 800,   // Three swings within this time make a shake
+  shakeRepeatMs: 1000,
+  eyeClosedRatio: 0.5,  // Eyes closed below this fraction of their resting opening
+  blinkMaxMs: 400,      // Shorter closures are blinks
+  longBlinkMs: 800,     // Closed this long is a long blink
+  smileRatio: 1.12,     // Mouth this much wider than at rest
+  smileHoldMs: 500,
+  browRatio: 1.15,      // Brows this much higher than at rest
+  browHoldMs: 300,
+  tiltDegrees: 15,      // Head roll away from level
+  tiltHoldMs: 1000,
+  restingMs: 1000       // Time for the resting face to follow the visitor (same at any frame rate)
+};
+
+let gestureBindings = { ...DEFAULT_GESTURE_BINDINGS };
+let gestureSettings = { ...GESTURE_SETTINGS };
+
+// ==============================================
+// DETECT - Gestures from per-frame features
+// ==============================================
+// options.clock(): Current time in ms (default Date.now)
+// options.settings: Overrides for GESTURE_SETTINGS
+//
+// features (lengths as ratios of face width, null when unknown):
+// { velocity: { x, y }, eyeOpenness, mouthWidth, browHeight, roll }
+// roll is the eye line's angle from level in degrees, positive when tilted right on screen
+function createGestureDetector(options = {}) {
+  const clock = options.clock || (() => Date.now());
+  const settings = { ...GESTURE_SETTINGS, ...(options.settings || {}) };
+
+  let resting = {};           // Running averages of the resting face
+  let lastTime = null;
+  let followRate = 0;         // Share of the way the resting face moves this frame
+  let lastNodTime = -Infinity;
+  let lastShakeTime = -Infinity;
+  let swings = [];            // Times of horizontal direction changes
+  let swingSign = 0;
+  let eyesClosedSince = null;
+  let longBlinkFired = false;
+  const holds = {};           // Start times of held gestures, and whether they fired
+
+  function update(features) {
+    const now = clock();
+    const gestures = [];
+    followRate = lastTime === null ? 0 : 1 - Math.exp(-(now - lastTime) / settings.restingMs);
+    lastTime = now;
+
+    // Nods and shakes from nose velocity
+    const velocity = features.velocity || { x: 0, y: 0 };
+    if (Math.abs(velocity.x) > settings.shakeSpeed) {
+      const sign = Math.sign(velocity.x);
+      if (sign !== swingSign) {
+        swingSign = sign;
+        swings = swings.filter(time => now - time < settings.shakeWindowMs);
+        swings.push(now);
+      }
+      if (swings.length >= 3 && now - lastShakeTime >= settings.shakeRepeatMs) {
+        lastShakeTime = now;
+        swings = [];
+        gestures.push('shake');
+      }
+    } else if (Math.abs(velocity.y) > settings.nodSpeed && now - lastNodTime >= settings.nodRepeatMs &&
+               now - lastShakeTime >= settings.shakeRepeatMs) {
+      lastNodTime = now;
+      gestures.push(velocity.y > 0 ? 'nod-down' : 'nod-up');
+    }
+
+    // Blinks: eyes closed relative to their resting opening
+    if (features.eyeOpenness != null) {
+      const restingEyes = follow('eyeOpenness', features.eyeOpenness, eyesClosedSince === null);
+      const closed = features.eyeOpenness < restingEyes * settings.eyeClosedRatio;
+      if (closed && eyesClosedSince === null) {
+        eyesClosedSince = now;
+        longBlinkFired = false;
+      } else if (closed && !longBlinkFired && now - eyesClosedSince >= settings.longBlinkMs) {
+        longBlinkFired = true;
+        gestures.push('long-blink');
+      } else if (!closed && eyesClosedSince !== null) {
+        if (now - eyesClosedSince <= settings.blinkMaxMs) gestures.push('blink');
+        eyesClosedSince = null;
+      }
+    }
+
+    // Smile and eyebrow raise: wider or higher than at rest, held
+    if (features.mouthWidth != null) {
+      const restingMouth = follow('mouthWidth', features.mouthWidth, !holds.smile);
+      if (hold('smile', features.mouthWidth > restingMouth * settings.smileRatio, settings.smileHoldMs, now)) {
+        gestures.push('smile');
+      }
+    }
+    if (features.browHeight != null) {
+      const restingBrows = follow('browHeight', features.browHeight, !holds['eyebrow-raise']);
+      if (hold('eyebrow-raise', features.browHeight > restingBrows * settings.browRatio, settings.browHoldMs, now)) {
+        gestures.push('eyebrow-raise');
+      }
+    }
+
+    // Head tilt held to one side
+    if (features.roll != null) {
+      const roll = features.roll;
+      if (hold('tilt-left', roll < -settings.tiltDegrees, settings.tiltHoldMs, now)) gestures.push('tilt-left');
+      if (hold('tilt-right', roll > settings.tiltDegrees, settings.tiltHoldMs, now)) gestures.push('tilt-right');
+    }
+
+    return gestures;
+  }
+
+  // Running average of a resting value; only follows while no gesture is under way
+  function follow(name, value, atRest) {
+    if (resting[name] === undefined) resting[name] = value;
+    else if (atRest) resting[name] += (value - resting[name]) * followRate;
+    return resting[name];
+  }
+
+  // True once when active has lasted holdMs; fires again only after it ends
+  function hold(name, active, holdMs, now) {
+    if (!active) {
+      delete holds[name];
+      return false;
+    }
+    if (!holds[name]) holds[name] = { since: now, fired: false };
+    if (holds[name].fired || now - holds[name].since < holdMs) return false;
+    holds[name].fired = true;
+    return true;
+  }
+
+  // Forget the resting face and anything under way, e.g. when the face is lost
+  function reset() {
+    resting = {};
+    lastTime = null;
+    swings = [];
+    swingSign = 0;
+    eyesClosedSince = null;
+    for (const name of Object.keys(holds)) delete holds[name];
+  }
+
+  return { update, reset, settings };
+}
+
+// ==============================================
+// BINDINGS - gestures.json
+// ==============================================
+// Returns the bindings and settings in the file, skipping unknown entries
+function validateGestureConfig(config) {
+  const errors = [];
+  const bindings = {};
+  const settings = { ...GESTURE_SETTINGS };
+
+  if (!config || typeof config !== 'object' || typeof config.bindings !== 'object' || !config.bindings) {
+    errors.push('gestures.json needs a "bindings" object');
+    return { bindings: { ...DEFAULT_GESTURE_BINDINGS }, settings, errors };
+  }
+
+  for (const [gesture, action] of Object.entries(config.bindings)) {
+    if (!GESTURES.includes(gesture)) {
+      errors.push(`Unknown gesture "${gesture}" (known: ${GESTURES.join(', ')})`);
+    } else if (action !== null && !GESTURE_ACTIONS.includes(action)) {
+      errors.push(`Unknown action "${action}" for ${gesture} (known: ${GESTURE_ACTIONS.join(', ')})`);
+    } else {
+      bindings[gesture] = action;
+    }
+  }
+
+  for (const [name, value] of Object.entries(config.settings || {})) {
+    if (!(name in GESTURE_SETTINGS)) {
+      errors.push(`Unknown gesture setting "${name}"`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      errors.push(`Gesture setting "${name}" must be a positive number`);
+    } else {
+      settings[name] = value;
+    }
+  }
+
+  return { bindings, settings, errors };
+}
+
+// Uses the defaults when the file is missing or broken
+function loadGestureBindings(path, onDone) {
+  loadJSON(path, (config) => {
+    const result = validateGestureConfig(config);
+    result.errors.forEach(error => console.log(`⚠️ ${error}`));
+    gestureBindings = result.bindings;
+    gestureSettings = result.settings;
+    console.log(`✅ Gesture bindings loaded from ${path}`);
+    if (onDone) onDone();
+  }, () => {
+    console.log(`⚠️ Could not load ${path}, using the default gesture bindings`);
+    if (onDone) onDone();
+  });
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GESTURES, GESTURE_ACTIONS, DEFAULT_GESTURE_BINDINGS, GESTURE_SETTINGS,
+    createGestureDetector, validateGestureConfig
+  };
+}
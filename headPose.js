@@ -0,0 +1,124 @@
+/*
+Head Pose - Yaw, pitch and roll from FaceMesh landmarks
+
+Estimates how the visitor's head is turned from four landmarks and their
+depth (z): the face's sides (234, 454) give roll and yaw, forehead and chin
+(10, 152) give pitch. Points are in canvas coordinates as the sketch maps
+them (mirrored like the video), with z scaled to the same unit as x and y.
+MediaPipe's z grows away from the camera. The sketch smooths the landmarks
+(see smoothing.js), so the angles are steady without filtering them again.
+
+Angles are in degrees, as seen on screen:
+- yaw: Positive when the face turns toward the right of the screen
+- pitch: Positive when looking up
+- roll: Positive when the head tilts to the right of the screen
+
+The head's position in the canvas (-1 to 1 from the center, both axes)
+drives a parallax camera: the view follows the visitor, so moving the head
+looks around the TV, as if through a window. The same position splits the
+TV's red, green and blue images apart.
+
+Key Functions:
+- estimateHeadPose(points): { yaw, pitch, roll } from { right, left, top, chin }, or null
+- headPosition(center, canvasWidth, canvasHeight): { x, y } from -1 to 1
+- createHeadPoseEasing(settings): Current pose; eases back to the center when the face is lost
+- parallaxCamera(position, canvasHeight): Camera position for p5's camera()
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const HEAD_POSE_POINTS = {
+  right: 234,  // Side of the face on the right of the (mirrored) screen
+  left: 454,
+  top: 10,     // Forehead
+  chin: 152
+};
+
+const HEAD_POSE_SETTINGS = {
+  maxYaw: 60,         // Clamp, degrees; FaceMesh loses the face beyond this anyway
+  maxPitch: 45,
+  maxRoll: 60,
+  parallax: 150,      // How far the camera moves sideways at the canvas edge, pixels
+  rgbOffset: 10,      // How far the color images split at the canvas edge, pixels
+  returnMs: 600       // Time to ease back to the center when the face is lost
+};
+
+// ==============================================
+// ESTIMATE - Angles from landmarks
+// ==============================================
+function estimateHeadPose(points, settings = HEAD_POSE_SETTINGS) {
+  const { right, left, top, chin } = points;
+  if (!right || !left || !top || !chin) return null;
+
+  // Across the face toward screen right, and from chin to forehead
+  const across = { x: right.x - left.x, y: right.y - left.y, z: (right.z || 0) - (left.z || 0) };
+  const up = { x: top.x - chin.x, y: top.y - chin.y, z: (top.z || 0) - (chin.z || 0) };
+  if (Math.hypot(across.x, across.y) === 0 || Math.hypot(up.x, up.y) === 0) return null;
+
+  const degrees = radians => radians * 180 / Math.PI;
+  const clamp = (value, limit) => Math.max(-limit, Math.min(limit, value));
+  return {
+    // The side turned away is deeper
+    yaw: clamp(degrees(Math.atan2(across.z, Math.hypot(across.x, across.y))), settings.maxYaw),
+    // Looking up moves the forehead away and the chin closer
+    pitch: clamp(degrees(Math.atan2(up.z, Math.hypot(up.x, up.y))), settings.maxPitch),
+    roll: clamp(degrees(Math.atan2(across.y, across.x)), settings.maxRoll)
+  };
+}
+
+// Head center relative to the canvas center, -1 to 1 (y positive downward)
+function headPosition(center, canvasWidth, canvasHeight) {
+  const clamp = value => Math.max(-1, Math.min(1, value));
+  return {
+    x: clamp((center.x - canvasWidth / 2) / (canvasWidth / 2)),
+    y: clamp((center.y - canvasHeight / 2) / (canvasHeight / 2))
+  };
+}
+
+// ==============================================
+// EASING - Back to the center without a face
+// ==============================================
+// pose: { yaw, pitch, roll, x, y }, or null when the face is lost
+function createHeadPoseEasing(settings = HEAD_POSE_SETTINGS) {
+  const center = { yaw: 0, pitch: 0, roll: 0, x: 0, y: 0 };
+  let current = { ...center };
+  let lastTime = null;
+
+  function update(pose, timeMs) {
+    const dt = lastTime === null ? 0 : timeMs - lastTime;
+    lastTime = timeMs;
+    if (pose) {
+      current = { ...pose };
+    } else {
+      // Same speed at any frame rate
+      const rate = 1 - Math.exp(-dt / settings.returnMs);
+      for (const name of Object.keys(center)) current[name] += (center[name] - current[name]) * rate;
+    }
+    return { ...current };
+  }
+
+  return { update };
+}
+
+// ==============================================
+// PARALLAX - Camera that follows the head
+// ==============================================
+// Returns { x, y, z } for camera(x, y, z, 0, 0, 0, 0, 1, 0); at the center this
+// is p5's default camera, so nothing moves while nobody is tracked
+function parallaxCamera(position, canvasHeight, settings = HEAD_POSE_SETTINGS) {
+  const distance = (canvasHeight / 2) / Math.tan(Math.PI / 6);
+  return {
+    x: position.x * settings.parallax,
+    y: position.y * settings.parallax,
+    z: distance
+  };
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HEAD_POSE_POINTS, HEAD_POSE_SETTINGS,
+    estimateHeadPose, headPosition, createHeadPoseEasing, parallaxCamera
+  };
+}
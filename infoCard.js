@@ -0,0 +1,85 @@
+/*
+Info Card - Facts about the flower, cycling on the TV's label
+
+The label above the TV starts with "Showing you X." and then turns through
+the flower's info card, one fact at a time, before starting over:
+- Scientific name
+- Colors, bloom seasons and regions of origin
+- What the flower symbolizes
+
+Facts come from flowers.json (see catalog.js); a flower without them keeps
+its plain label. The pages are in the current language, with the color,
+season and region words from locales.js.
+
+Key Functions:
+- infoCardPages(index): Label messages for a flower, its name first (see messages.js)
+- createInfoCard(options): card.page(index, pageCount) - page to show now, back to the
+  first whenever the flower changes
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const INFO_CARD_SETTINGS = {
+  namePageMs: 5000,   // "Showing you X." stays this long
+  pageMs: 3500        // Each fact after it
+};
+
+// Manifest lists on the card, in this order, with their UI string (see locales.js)
+const INFO_CARD_LISTS = { colors: 'cardColors', seasons: 'cardSeasons', origins: 'cardOrigins' };
+
+// ==============================================
+// PAGES
+// ==============================================
+function infoCardPages(index) {
+  const flower = crtTVFlowers[index];
+  const options = { theme: 'label' };
+  const pages = [uiMessage('showingYou', { name: crtTVNames[index][0] }, options)];
+
+  if (flower.scientificName) {
+    pages.push(uiMessage('cardScientific', { scientific: flower.scientificName }, options));
+  }
+  for (const [attribute, key] of Object.entries(INFO_CARD_LISTS)) {
+    const values = flower[attribute] || [];
+    if (values.length === 0) continue;
+    const list = values.map(value => attributeWord(attribute, value, getLocale())).join(', ');
+    pages.push(uiMessage(key, { list: list }, options));
+  }
+  const symbolism = localizedText(flower.symbolism);
+  if (symbolism) pages.push(uiMessage('cardSymbolism', { symbolism: symbolism }, options));
+  return pages;
+}
+
+// ==============================================
+// CARD - Which page shows when
+// ==============================================
+// options.clock(): Current time in ms (default Date.now)
+// options.settings: Overrides for INFO_CARD_SETTINGS
+function createInfoCard(options = {}) {
+  const clock = options.clock || (() => Date.now());
+  const settings = { ...INFO_CARD_SETTINGS, ...(options.settings || {}) };
+
+  let shownIndex = null;
+  let since = 0;
+
+  function page(index, pageCount) {
+    const now = clock();
+    if (index !== shownIndex) {
+      shownIndex = index;
+      since = now;
+    }
+    if (pageCount < 2) return 0;
+
+    const cycle = settings.namePageMs + (pageCount - 1) * settings.pageMs;
+    const elapsed = (now - since) % cycle;
+    if (elapsed < settings.namePageMs) return 0;
+    return 1 + Math.floor((elapsed - settings.namePageMs) / settings.pageMs);
+  }
+
+  return { page, settings };
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { INFO_CARD_SETTINGS, INFO_CARD_LISTS, infoCardPages, createInfoCard };
+}
@@ -0,0 +1,140 @@
+/*
+Input Status - Which inputs work, and why not
+
+Follows the camera, the FaceMesh model and speech recognition from starting
+to ready or failed, so the sketch can explain a failure on screen, offer a
+retry, and fall back to the inputs that still work: without a camera or the
+face model, the arrow keys, swipes and the flower picker; without speech,
+typed names and the picker (see manualControls.js).
+
+Inputs (INPUTS): camera, faceModel, speech
+
+States per input:
+- off: Not started (also while replaying a session)
+- starting: Asked for, not ready yet
+- ready: Works
+- failed: Gave up, with a reason (INPUT_FAILURES)
+
+Reasons:
+- unsupported: The browser or a library does not have it (no retry)
+- denied: Permission refused; the visitor has to allow it in the browser
+- not-found: No camera or microphone
+- timeout: Started but never got ready
+- network: The speech service cannot be reached
+- error: Anything else
+
+A later ready() always wins, e.g. when the camera prompt is answered after
+the timeout.
+
+Key Functions:
+- createInputStatus(options): New tracker
+  - options.clock(): Current time in ms (default Date.now)
+  - options.settings: Overrides for INPUT_STATUS_SETTINGS
+  - options.hooks: change(input, status, previous)
+- inputs.start(input) / inputs.ready(input) / inputs.fail(input, reason, message)
+- inputs.update(): Fails inputs that take too long to start
+- inputs.status(input): { state, reason, message, since }
+- inputs.works(input) / inputs.failed(input) / inputs.retryable(): Failed inputs worth a retry
+- cameraErrorReason(error): Reason for a getUserMedia error, null if it is no camera error
+- speechErrorReason(code): Reason for a recognizer error, null if it is no failure
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const INPUT_STATUS_SETTINGS = {
+  cameraStartMs: 15000,   // Camera not ready this long (unanswered prompt, busy camera): timeout
+  modelLoadMs: 30000      // FaceMesh not loaded this long (slow or blocked download): timeout
+};
+
+const INPUTS = ['camera', 'faceModel', 'speech'];
+const INPUT_FAILURES = ['unsupported', 'denied', 'not-found', 'timeout', 'network', 'error'];
+
+// Web Speech API error codes; "no-speech" and "aborted" only end one attempt
+const SPEECH_ERROR_REASONS = {
+  'not-allowed': 'denied',
+  'service-not-allowed': 'denied',
+  'audio-capture': 'not-found',
+  'network': 'network',
+  'language-not-supported': 'unsupported'
+};
+
+// getUserMedia error names
+const CAMERA_ERROR_REASONS = {
+  NotAllowedError: 'denied',
+  SecurityError: 'denied',
+  NotFoundError: 'not-found',
+  OverconstrainedError: 'not-found',
+  NotReadableError: 'error',   // In use by another app
+  AbortError: 'error'
+};
+
+// ==============================================
+// TRACKER
+// ==============================================
+function createInputStatus(options = {}) {
+  const clock = options.clock || (() => Date.now());
+  const settings = { ...INPUT_STATUS_SETTINGS, ...(options.settings || {}) };
+  const hooks = options.hooks || {};
+  const startLimits = { camera: settings.cameraStartMs, faceModel: settings.modelLoadMs };
+
+  const statuses = {};
+  for (const input of INPUTS) statuses[input] = { state: 'off', reason: null, message: null, since: clock() };
+
+  function set(input, state, reason = null, message = null) {
+    if (!statuses[input]) {
+      console.log(`⚠️ Unknown input: ${input}`);
+      return;
+    }
+    const previous = statuses[input];
+    if (previous.state === state && previous.reason === reason) return;
+    statuses[input] = { state, reason, message, since: clock() };
+    if (hooks.change) hooks.change(input, status(input), { ...previous });
+  }
+
+  function fail(input, reason, message = null) {
+    set(input, 'failed', INPUT_FAILURES.includes(reason) ? reason : 'error', message);
+  }
+
+  function update() {
+    const now = clock();
+    for (const [input, limit] of Object.entries(startLimits)) {
+      const current = statuses[input];
+      if (current.state === 'starting' && now - current.since >= limit) fail(input, 'timeout');
+    }
+  }
+
+  function status(input) {
+    return { ...statuses[input] };
+  }
+
+  return {
+    start: (input) => set(input, 'starting'),
+    ready: (input) => set(input, 'ready'),
+    fail,
+    update,
+    status,
+    works: (input) => statuses[input].state === 'ready',
+    failed: (input) => statuses[input].state === 'failed',
+    retryable: () => INPUTS.filter(input => statuses[input].state === 'failed' && statuses[input].reason !== 'unsupported'),
+    settings
+  };
+}
+
+// ==============================================
+// ERRORS - Browser errors to reasons
+// ==============================================
+function cameraErrorReason(error) {
+  return CAMERA_ERROR_REASONS[error && error.name] || null;
+}
+
+function speechErrorReason(code) {
+  return SPEECH_ERROR_REASONS[code] || (code === 'no-speech' || code === 'aborted' ? null : 'error');
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    INPUT_STATUS_SETTINGS, INPUTS, INPUT_FAILURES, createInputStatus, cameraErrorReason, speechErrorReason
+  };
+}
@@ -0,0 +1,179 @@
+/*
+Interaction - State machine for face and speech interaction
+
+Decides when the sketch listens, shows a result, or waits for the visitor,
+so drawUI() only has to read the current state. The sketch feeds it what it
+sees every frame (camera ready, face visible, mouth open) and what the
+recognizer reports; all timing comes from an injected clock, so the
+transitions can be stepped through in Node without a browser (see
+tools/checks/interaction.test.js).
+
+Keyboard, mouse and touch count too (see manualControls.js): holding a finger
+or the mouse button on the screen works like an open mouth, and any manual
+input keeps the visitor present for manualPresenceMs, with or without a
+camera or a face.
+
+States:
+- no-camera: Camera not started yet
+- no-face: Camera running, nobody in view
+- idle: Face in view (or manual input), waiting for an open mouth or a hold
+- listening: Recognizer running
+- recognized: A result was understood (flower, command, "Did you mean X?")
+- missed: Nothing understood, or listening timed out
+- cooldown: Result shown and mouth closed; short pause before listening again
+
+Transitions:
+  no-camera --camera ready--> no-face --face--> idle
+  idle --mouth open or hold for mouthOpenHoldMs (and canListen())--> listening
+  listening --speech-result--> recognized | missed
+  listening --speech-end / speech-error / listenTimeoutMs--> missed
+  recognized | missed --mouth closed, resultHoldMs--> cooldown
+  cooldown --mouth closed for cooldownMs--> idle
+  any --face lost--> no-face, any --camera lost--> no-camera (unless manual input is recent)
+
+Key Functions:
+- createInteractionController(options): New controller
+  - options.clock(): Current time in ms (default Date.now)
+  - options.timing: Overrides for INTERACTION_TIMING
+  - options.canListen(): Return false to keep the mic off (narrator talking, paused)
+  - options.hooks: startListening(), stopListening(next, detail), stateChange(state, previous, detail)
+- controller.update(facts): Per-frame input { cameraReady, faceVisible, mouthOpen, holding }
+- controller.dispatch(event, detail): 'speech-result' ({ matched }), 'speech-end',
+  'speech-error' ({ error }, the recognizer failed), 'gesture' ({ gesture }), 'manual-input' (a key, tap or swipe)
+- controller.state / controller.canNavigate()
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const INTERACTION_STATES = ['no-camera', 'no-face', 'idle', 'listening', 'recognized', 'missed', 'cooldown'];
+
+const INTERACTION_TIMING = {
+  mouthOpenHoldMs: 500,   // Mouth must stay open this long before listening starts
+  listenTimeoutMs: 10000, // Give up and show a random flower after this long
+  resultHoldMs: 1000,     // Show a result at least this long before listening again
+  cooldownMs: 500,        // Mouth must stay closed this long before listening again
+  manualPresenceMs: 60000 // Manual input counts as a visitor this long without a face
+};
+
+// States in which gestures (nods, smiles...) may run their actions
+const NAVIGATION_STATES = ['idle', 'recognized', 'missed', 'cooldown'];
+
+// ==============================================
+// CONTROLLER
+// ==============================================
+function createInteractionController(options = {}) {
+  const clock = options.clock || (() => Date.now());
+  const timing = { ...INTERACTION_TIMING, ...(options.timing || {}) };
+  const canListen = options.canListen || (() => true);
+  const hooks = options.hooks || {};
+
+  let state = 'no-camera';
+  let stateTime = clock();
+  let cameraReady = false;
+  let faceVisible = false;
+  let mouthOpen = false;       // Open mouth, or a hold on the screen
+  let mouthChangeTime = stateTime;
+  let manualTime = -Infinity;  // Last key, tap, swipe or hold
+
+  function enter(next, detail = {}) {
+    if (next === state) return;
+    const previous = state;
+    state = next;
+    stateTime = clock();
+    if (previous === 'listening' && hooks.stopListening) hooks.stopListening(next, detail);
+    if (next === 'listening' && hooks.startListening) hooks.startListening();
+    if (hooks.stateChange) hooks.stateChange(next, previous, detail);
+  }
+
+  // facts: any of { cameraReady, faceVisible, mouthOpen, holding }; missing facts keep their last value
+  function update(facts = {}) {
+    const now = clock();
+    if (facts.cameraReady !== undefined) cameraReady = Boolean(facts.cameraReady);
+    if (facts.faceVisible !== undefined) faceVisible = Boolean(facts.faceVisible);
+    if (facts.mouthOpen !== undefined || facts.holding !== undefined) {
+      if (facts.holding) manualTime = now;
+      const open = Boolean(facts.mouthOpen || facts.holding);
+      if (open !== mouthOpen) {
+        mouthOpen = open;
+        mouthChangeTime = now;
+      }
+    }
+
+    // Without recent manual input a visitor needs a camera and a face
+    if (now - manualTime >= timing.manualPresenceMs) {
+      if (!cameraReady) return enter('no-camera');
+      if (!faceVisible) return enter('no-face');
+    }
+
+    const inState = now - stateTime;
+    const mouthHeld = now - mouthChangeTime;
+    switch (state) {
+      case 'no-camera':
+      case 'no-face':
+        enter('idle');
+        break;
+      case 'idle':
+        if (mouthOpen && mouthHeld >= timing.mouthOpenHoldMs && canListen()) enter('listening');
+        break;
+      case 'listening':
+        if (inState >= timing.listenTimeoutMs) enter('missed', { reason: 'timeout' });
+        break;
+      case 'recognized':
+      case 'missed':
+        // Wait for the mouth to close so one long "aaah" does not start listening again
+        if (!mouthOpen && inState >= timing.resultHoldMs) enter('cooldown');
+        break;
+      case 'cooldown':
+        if (!mouthOpen && mouthHeld >= timing.cooldownMs && inState >= timing.cooldownMs) enter('idle');
+        break;
+    }
+  }
+
+  // Returns true if the event was accepted in the current state
+  function dispatch(event, detail = {}) {
+    switch (event) {
+      case 'speech-result':
+        if (state !== 'listening') return false;
+        enter(detail.matched ? 'recognized' : 'missed', detail);
+        return true;
+      case 'speech-end':
+        // The recognizer stopped on its own without a result
+        if (state !== 'listening') return false;
+        enter('missed', { reason: 'no-result' });
+        return true;
+      case 'speech-error':
+        // The recognizer cannot listen at all (see inputStatus.js); do not wait for the timeout
+        if (state !== 'listening') return false;
+        enter('missed', { reason: 'error', error: detail.error });
+        return true;
+      case 'gesture':
+        // Gestures wait while listening, so talking does not count as a nod
+        return canNavigate();
+      case 'manual-input':
+        manualTime = clock();
+        return true;
+      default:
+        console.log(`⚠️ Unknown interaction event: ${event}`);
+        return false;
+    }
+  }
+
+  function canNavigate() {
+    return NAVIGATION_STATES.includes(state);
+  }
+
+  return {
+    update,
+    dispatch,
+    canNavigate,
+    get state() { return state; },
+    get stateTime() { return stateTime; },
+    get timing() { return timing; }
+  };
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { INTERACTION_STATES, INTERACTION_TIMING, createInteractionController };
+}
@@ -0,0 +1,161 @@
+/*
+Kiosk - Unattended installations
+
+With ?kiosk=1 the sketch looks after itself for a whole exhibition day:
+- Attract loop: With nobody in view for attractAfterMs the TV comes on by
+  itself and flips through the flowers with channel changes and a stronger
+  CRT look, inviting people closer
+- Idle reset: resetAfterMs after the visitor left, the next one starts fresh:
+  first flower, language, "go back" list, favorites and flowers seen (kept in
+  memory only, never restored after a reload), narration mute, mouth
+  calibration, paused listening and messages
+- Watchdog: Restarts face detection when FaceMesh stops delivering results,
+  and the recognizer when it fails to start or keeps reporting errors
+- Scheduled reload: After reloadAfterMs the page reloads, once nobody is
+  there, against memory that builds up over hours
+
+The controller only keeps time; the sketch feeds it what it sees each frame
+and does the work in the hooks, so it can be stepped through in Node.
+
+Key Functions:
+- createKioskController(options): New controller
+  - options.clock(): Current time in ms (default Date.now)
+  - options.settings: Overrides for KIOSK_SETTINGS
+  - options.hooks: attractStep(transition), resetVisit(), restartFaceDetection(),
+    restartSpeech(), reload()
+- kiosk.update(facts): Per-frame input { present, lastDetection, listening, recognizerActive }
+- kiosk.speechResult(ok): A recognizer result (true) or error (false)
+- kiosk.attracting: True while the attract loop runs
+- readKioskSettings(): KIOSK_SETTINGS with ?kiosk= applied
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const KIOSK_SETTINGS = {
+  enabled: false,
+  attractAfterMs: 20000,     // Nobody in view this long starts the attract loop
+  attractStepMs: 6000,       // Next flower of the attract loop
+  attractTransitions: ['static', 'roll', 'squeeze', 'crossfade'], // Taken in turn (see channelChange.js)
+  resetAfterMs: 8000,        // Nobody in view this long resets the visit
+  faceStallMs: 5000,         // FaceMesh silent this long: restart detection
+  speechStartMs: 4000,       // Listening without the recognizer starting this long: restart it
+  speechErrorLimit: 3,       // Errors in a row without a result before the recognizer is restarted
+  restartMinMs: 10000,       // At most one restart of each detector this often
+  reloadAfterMs: 6 * 60 * 60 * 1000 // Reload the page after this long, when nobody is there
+};
+
+let kioskSettings = readKioskSettings();
+
+// ==============================================
+// CONTROLLER
+// ==============================================
+function createKioskController(options = {}) {
+  const clock = options.clock || (() => Date.now());
+  const settings = { ...KIOSK_SETTINGS, ...(options.settings || {}) };
+  const hooks = options.hooks || {};
+
+  const startTime = clock();
+  let absentSince = startTime;   // null while someone is there
+  let visitReset = true;         // Nothing to reset before the first visitor
+  let attracting = false;
+  let attractTime = 0;
+  let attractTurn = 0;           // Next of attractTransitions
+  let listeningSince = null;
+  let speechErrors = 0;
+  let faceRestartTime = -Infinity;
+  let speechRestartTime = -Infinity;
+  let reloading = false;
+
+  function call(name, ...args) {
+    if (hooks[name]) hooks[name](...args);
+  }
+
+  // facts.present: a visitor is there (face or manual input)
+  // facts.lastDetection: time of FaceMesh's latest results, null before the first
+  // facts.listening / facts.recognizerActive: the sketch listens / the recognizer has started
+  function update(facts = {}) {
+    const now = clock();
+    updatePresence(now, Boolean(facts.present));
+    watchFaceDetection(now, facts.lastDetection);
+    watchSpeech(now, Boolean(facts.listening), Boolean(facts.recognizerActive));
+
+    if (!reloading && absentSince !== null && visitReset && now - startTime >= settings.reloadAfterMs) {
+      reloading = true;
+      call('reload');
+    }
+  }
+
+  function updatePresence(now, present) {
+    if (present) {
+      absentSince = null;
+      visitReset = false;
+      attracting = false;
+      return;
+    }
+
+    if (absentSince === null) absentSince = now;
+    const absent = now - absentSince;
+    if (!visitReset && absent >= settings.resetAfterMs) {
+      visitReset = true;
+      call('resetVisit');
+    }
+    if (absent >= settings.attractAfterMs && (!attracting || now - attractTime >= settings.attractStepMs)) {
+      attracting = true;
+      attractTime = now;
+      const transitions = settings.attractTransitions;
+      call('attractStep', transitions[attractTurn++ % transitions.length]);
+    }
+  }
+
+  function watchFaceDetection(now, lastDetection) {
+    if (lastDetection === null || lastDetection === undefined) return;
+    const silent = now - Math.max(lastDetection, faceRestartTime);
+    if (silent >= settings.faceStallMs && now - faceRestartTime >= settings.restartMinMs) {
+      faceRestartTime = now;
+      call('restartFaceDetection');
+    }
+  }
+
+  function watchSpeech(now, listening, recognizerActive) {
+    if (!listening || recognizerActive) listeningSince = null;
+    else if (listeningSince === null) listeningSince = now;
+
+    const stalled = listeningSince !== null && now - listeningSince >= settings.speechStartMs;
+    const failing = speechErrors >= settings.speechErrorLimit;
+    if ((stalled || failing) && now - speechRestartTime >= settings.restartMinMs) {
+      speechRestartTime = now;
+      listeningSince = null;
+      speechErrors = 0;
+      call('restartSpeech');
+    }
+  }
+
+  function speechResult(ok) {
+    speechErrors = ok ? 0 : speechErrors + 1;
+  }
+
+  return {
+    update,
+    speechResult,
+    get attracting() { return attracting; },
+    settings
+  };
+}
+
+// ==============================================
+// URL PARAMETERS
+// ==============================================
+// ?kiosk=1: attract loop, idle reset, watchdog and scheduled reload
+function readKioskSettings() {
+  const settings = { ...KIOSK_SETTINGS };
+  if (typeof window === 'undefined' || !window.location) return settings;
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('kiosk')) settings.enabled = params.get('kiosk') !== '0';
+  return settings;
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { KIOSK_SETTINGS, createKioskController, readKioskSettings };
+}
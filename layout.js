@@ -0,0 +1,91 @@
+/*
+Layout - Canvas size and TV arrangement for the viewport
+
+The canvas fills the window. The scene is laid out in layout units on a
+design area 720 units high, then scaled to fit the window and centered:
+- portrait: 405 x 720 (9:16, phones) - prompt under the TV, label above it
+- landscape: 1280 x 720 (16:9, tablets on their side, desktops) - TV on the
+  left, label and prompt beside it on the right
+
+Face keypoints are converted to layout units too (see toLayoutPoint), so
+speeds in pixels per second (nods, smoothing), recorded sessions and the head
+position mean the same on every screen. Both designs are 720 units high and
+the camera is fitted to the canvas height, so a face is the same size in
+layout units in either orientation.
+
+Positions of the prompt and label planes are in the TV screen's own units
+(the screen is 160 x 130); idlePrompt and idleLabel are where they go while
+no TV is shown, in layout units.
+
+Key Functions:
+- computeLayout(viewportWidth, viewportHeight): Canvas size, orientation, scale and positions
+- toLayoutPoint(point, layout): Canvas pixels to layout units
+- canvasDensity(): Pixel density for high-DPI screens, capped to keep WEBGL fast
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const LAYOUTS = {
+  portrait: {
+    design: { width: 405, height: 720 },
+    tv: { x: 0, y: 0 },                    // TV center, layout units from the canvas center
+    prompt: { x: 0, y: 150, size: 400 },   // Screen units
+    label: { x: 0, y: -130, size: 400 },
+    idlePrompt: { x: 0, y: 150, size: 400 },
+    idleLabel: { x: 0, y: -130, size: 400 }
+  },
+  landscape: {
+    design: { width: 1280, height: 720 },
+    tv: { x: -260, y: 0 },
+    prompt: { x: 330, y: 80, size: 300 },
+    label: { x: 330, y: -110, size: 300 },
+    idlePrompt: { x: 0, y: 120, size: 500 },
+    idleLabel: { x: 0, y: -160, size: 500 }
+  }
+};
+
+const LAYOUT_SETTINGS = {
+  landscapeRatio: 1.0,   // Width over height above which the landscape layout is used
+  maxDensity: 2,         // Highest pixel density; 3x phone screens render 2x
+  cameraMode: 'fitHeight' // PhoneCamera mode; keypoints are in layout units either way
+};
+
+// ==============================================
+// LAYOUT
+// ==============================================
+function computeLayout(viewportWidth, viewportHeight, settings = LAYOUT_SETTINGS) {
+  const width = Math.max(1, Math.floor(viewportWidth));
+  const height = Math.max(1, Math.floor(viewportHeight));
+  const orientation = width > height * settings.landscapeRatio ? 'landscape' : 'portrait';
+  const arrangement = LAYOUTS[orientation];
+  const design = arrangement.design;
+
+  return {
+    ...arrangement,
+    orientation,
+    width,
+    height,
+    // Whole design area visible, centered; the rest of the canvas is margin
+    scale: Math.min(width / design.width, height / design.height)
+  };
+}
+
+// Canvas pixels (top left origin) to layout units (design area's top left origin)
+function toLayoutPoint(point, layout) {
+  return {
+    ...point,
+    x: (point.x - layout.width / 2) / layout.scale + layout.design.width / 2,
+    y: (point.y - layout.height / 2) / layout.scale + layout.design.height / 2
+  };
+}
+
+function canvasDensity(settings = LAYOUT_SETTINGS) {
+  const screen = typeof displayDensity === 'function' ? displayDensity() : 1;
+  return Math.min(screen, settings.maxDensity);
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LAYOUTS, LAYOUT_SETTINGS, computeLayout, toLayoutPoint, canvasDensity };
+}
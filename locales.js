@@ -0,0 +1,362 @@
+/*
+Locales - Translated UI strings and recognizer languages
+
+Each locale has:
+- speechLang: Language code for p5.SpeechRec
+- switchWords: Words that switch to this locale when spoken ("deutsch", "български")
+- yesWords / noWords: Answers to "Did you mean X?"
+- pluralRules: [ending, replacement] pairs the name matcher tries on heard words
+- commands: Phrases for each voice command (see voiceCommands.js)
+- fillerWords: Words dropped at the start of a command ("please", "show me")
+- negationWords: Words that cancel a filter phrase after them ("not something red")
+- colors / colorPhrases: Color words per color id, and phrases with a {color} slot;
+  the first word of each color is the one displayed
+- seasons / seasonPhrases, origins / originPhrases: The same for bloom seasons and
+  regions of origin ({season}, {origin}); a season word alone is enough when
+  it starts the command
+- ui: Prompt texts; {name} is replaced by the flower name
+
+Flower names per locale live with the flowers in flowers.json:
+  "names": { "de": ["pfingstrose"], "bg": ["божур"] }
+The manifest's own name and synonyms are the default (English) names and are
+still understood in every locale.
+
+The starting locale comes from the URL, e.g. index.html?lang=bg
+
+Key Functions:
+- t(key, params): UI string for the current locale
+- localizedFlowerNames(flower): Names to show and match for a manifest entry
+- localizedText(value): A flower's description or symbolism in the current locale
+- findLocaleSwitch(transcript): Locale whose switch word was spoken, or null
+*/
+
+// ==============================================
+// LOCALE DATA
+// ==============================================
+const DEFAULT_LOCALE = 'en';
+
+const LOCALES = {
+  en: {
+    speechLang: 'en-US',
+    switchWords: ['english', 'englisch', 'английски'],
+    yesWords: ['yes', 'yeah', 'yep', 'sure', 'correct', 'right', 'ok', 'okay', 'please'],
+    noWords: ['no', 'nope', 'nah', 'wrong', 'not'],
+    pluralRules: [['ies', 'y'], ['es', ''], ['s', '']],
+    fillerWords: ['please', 'ok', 'okay', 'now', 'hey', 'um', 'uh', 'so', 'can', 'could', 'you', 'show', 'me'],
+    negationWords: ['not', 'don', 'dont', 'never', 'without'],
+    commands: {
+      next: ['next', 'next one', 'forward', 'skip'],
+      previous: ['previous', 'previous one', 'last one'],
+      random: ['random', 'surprise me', 'any flower'],
+      back: ['go back', 'back'],
+      whatIsThis: ['what is this', 'what s this', 'what is that', 'which flower is this', 'what flower'],
+      repeat: ['repeat', 'say that again', 'again'],
+      stopListening: ['stop listening', 'stop', 'be quiet'],
+      mute: ['mute', 'stop talking', 'be silent'],
+      unmute: ['unmute', 'talk to me', 'speak again'],
+      favorite: ['i like this one', 'i like this', 'i like it', 'i love this'],
+      favorites: ['show my favorites', 'my favorites', 'favorites']
+    },
+    colors: {
+      red: ['red'], pink: ['pink'], white: ['white'], yellow: ['yellow'],
+      orange: ['orange'], purple: ['purple', 'lilac'], blue: ['blue']
+    },
+    colorPhrases: ['something {color}', '{color} flower', '{color} flowers', '{color} one', 'in {color}'],
+    seasons: { spring: ['spring'], summer: ['summer'], autumn: ['autumn', 'fall'], winter: ['winter'] },
+    seasonPhrases: ['{season}', '{season} flowers', '{season} flower'],
+    origins: { europe: ['Europe'], asia: ['Asia'], africa: ['Africa'], americas: ['America'] },
+    originPhrases: ['from {origin}', '{origin} flower', '{origin} flowers'],
+    ui: {
+      loading: "Loading flowers...",
+      startingCamera: "Starting camera...",
+      showFace: "Show your face\nto start tracking.",
+      attract: "Come closer and\nshow your face.",
+      openMouth: "Open mouth to\nactivate voice recognition.",
+      listening: "Listening! Tell me\na flower you want to see.",
+      missHear: "Did not catch that.\nShowing a random flower.",
+      didYouMean: "Did you mean {name}?\nOpen mouth and say yes or no.",
+      showingYou: "Showing you\n{name}.",
+      heardUnknown: "I heard \"{heard}\",\nbut that is not a flower I know.\nShowing a random flower.",
+      whatIsThis: "This is {name}.",
+      noColor: "I have no {color} flowers.",
+      showingColor: "Something {color}, {position} of {count}:\n{name}.",
+      noSeason: "None of my flowers\nbloom in {season}.",
+      showingSeason: "Blooms in {season}, {position} of {count}:\n{name}.",
+      noOrigin: "I have no flowers\nfrom {origin}.",
+      showingOrigin: "From {origin}, {position} of {count}:\n{name}.",
+      cardScientific: "Scientific name:\n{scientific}",
+      cardColors: "Colors:\n{list}.",
+      cardSeasons: "Blooms in\n{list}.",
+      cardOrigins: "Native to\n{list}.",
+      cardSymbolism: "Symbol of\n{symbolism}.",
+      nothingBack: "There is nothing\nto go back to yet.",
+      listeningPaused: "Listening paused.\nNod to browse the flowers.",
+      narrateAlsoCalled: "Showing you {name}, also called {other}.",
+      narrationOff: "Narration off.",
+      narrationOn: "Narration on.",
+      calibrateClosed: "Calibrating: keep your\nmouth closed and look here.",
+      calibrateOpen: "Now open your\nmouth wide and hold.",
+      calibrateDone: "Thanks! Open your mouth\nto start talking.",
+      calibrateFailed: "Could not tell open from closed.\nKeeping the current setting.",
+      favoriteAdded: "{name} added\nto your favorites.",
+      favoriteRemoved: "{name} removed\nfrom your favorites.",
+      favoritesEmpty: "No favorites yet.\nSay \"I like this one\" or smile.",
+      showingFavorite: "Favorite {position} of {count}:\n{name}.",
+      allFlowers: "All",
+      favoriteFlowers: "Favorites",
+      seenFlowers: "Seen",
+      languageSwitched: "Switched to English.",
+      noCamera: "No camera found.\nUse the arrow keys, swipe,\nor tap the flower button.",
+      holdToTalk: "Tap and hold to talk,\nor pick a flower with the button.",
+      noSpeech: "Type a flower name\nor pick one with the button.",
+      cameraDenied: "Camera access is blocked.\nAllow it in the browser and tap Retry,\nor use the arrow keys or the flower button.",
+      cameraFailed: "The camera did not start.\nTap Retry, or use the arrow keys,\nswipe, or tap the flower button.",
+      faceModelFailed: "Face tracking did not load.\nTap Retry, or use the arrow keys,\nswipe, or tap the flower button.",
+      microphoneDenied: "Microphone access is blocked.\nType a flower name\nor pick one with the button.",
+      noMicrophone: "No microphone found.\nType a flower name\nor pick one with the button.",
+      speechOffline: "Speech recognition is offline.\nType a flower name\nor pick one with the button.",
+      retry: "Retry",
+      pickFlower: "Flowers",
+      typeFlower: "Type a flower name",
+      catalogProblems: "Flower catalog problems:",
+      catalogMoreProblems: "...and {count} more (see console)."
+    }
+  },
+  de: {
+    speechLang: 'de-DE',
+    switchWords: ['deutsch', 'german', 'немски'],
+    yesWords: ['ja', 'jawohl', 'genau', 'richtig', 'bitte', 'klar'],
+    noWords: ['nein', 'falsch', 'nicht'],
+    pluralRules: [['en', ''], ['n', ''], ['e', ''], ['s', '']],
+    fillerWords: ['bitte', 'ok', 'okay', 'jetzt', 'hey', 'äh', 'ähm', 'also', 'mal', 'zeig', 'mir'],
+    negationWords: ['nicht', 'kein', 'keine', 'keinen', 'nie', 'ohne'],
+    commands: {
+      next: ['weiter', 'nächste', 'nächstes', 'vorwärts'],
+      previous: ['vorherige', 'vorheriges', 'davor'],
+      random: ['zufall', 'zufällig', 'überrasch mich', 'irgendeine'],
+      back: ['geh zurück', 'zurück'],
+      whatIsThis: ['was ist das', 'welche blume ist das', 'welche blume'],
+      repeat: ['wiederholen', 'nochmal', 'noch einmal'],
+      stopListening: ['hör auf zuzuhören', 'hör auf', 'stopp', 'ruhe'],
+      mute: ['stumm', 'sei still', 'nicht sprechen'],
+      unmute: ['ton an', 'sprich wieder', 'sprich mit mir'],
+      favorite: ['das gefällt mir', 'gefällt mir', 'die mag ich'],
+      favorites: ['zeig meine favoriten', 'meine favoriten', 'favoriten']
+    },
+    colors: {
+      red: ['rot'], pink: ['rosa', 'pink'], white: ['weiß'], yellow: ['gelb'],
+      orange: ['orange'], purple: ['lila', 'violett'], blue: ['blau']
+    },
+    colorPhrases: ['etwas {color}', '{color} blume', '{color} blumen', 'in {color}'],
+    seasons: {
+      spring: ['Frühling', 'frühjahr', 'frühlingsblumen'], summer: ['Sommer', 'sommerblumen'],
+      autumn: ['Herbst', 'herbstblumen'], winter: ['Winter', 'winterblumen']
+    },
+    seasonPhrases: ['{season}', '{season} blumen'],
+    origins: {
+      europe: ['Europa', 'europäisch'], asia: ['Asien', 'asiatisch'],
+      africa: ['Afrika', 'afrikanisch'], americas: ['Amerika', 'amerikanisch']
+    },
+    originPhrases: ['aus {origin}', '{origin} blume', '{origin} blumen'],
+    ui: {
+      loading: "Blumen werden geladen...",
+      startingCamera: "Kamera startet...",
+      showFace: "Zeig dein Gesicht,\num das Tracking zu starten.",
+      attract: "Komm näher und\nzeig dein Gesicht.",
+      openMouth: "Öffne den Mund, um die\nSpracherkennung zu starten.",
+      listening: "Ich höre zu! Sag mir, welche\nBlume du sehen möchtest.",
+      missHear: "Nicht verstanden.\nHier ist eine zufällige Blume.",
+      didYouMean: "Meintest du {name}?\nÖffne den Mund und sag ja oder nein.",
+      showingYou: "Hier siehst du\n{name}.",
+      heardUnknown: "Ich habe \"{heard}\" gehört,\naber diese Blume kenne ich nicht.\nHier ist eine zufällige Blume.",
+      whatIsThis: "Das ist {name}.",
+      noColor: "Ich habe keine Blumen in {color}.",
+      showingColor: "Etwas in {color}, {position} von {count}:\n{name}.",
+      noSeason: "Keine meiner Blumen\nblüht im {season}.",
+      showingSeason: "Blüht im {season}, {position} von {count}:\n{name}.",
+      noOrigin: "Ich habe keine Blumen\naus {origin}.",
+      showingOrigin: "Aus {origin}, {position} von {count}:\n{name}.",
+      cardScientific: "Wissenschaftlicher Name:\n{scientific}",
+      cardColors: "Farben:\n{list}.",
+      cardSeasons: "Blüht im\n{list}.",
+      cardOrigins: "Heimat:\n{list}.",
+      cardSymbolism: "Symbol für\n{symbolism}.",
+      nothingBack: "Es gibt noch nichts,\nzu dem ich zurück kann.",
+      listeningPaused: "Zuhören pausiert.\nNicke, um durch die Blumen zu blättern.",
+      narrateAlsoCalled: "Hier siehst du {name}, auch {other} genannt.",
+      narrationOff: "Sprachausgabe aus.",
+      narrationOn: "Sprachausgabe an.",
+      calibrateClosed: "Kalibrierung: Halte den Mund\ngeschlossen und schau hierher.",
+      calibrateOpen: "Jetzt öffne den Mund\nweit und halte ihn offen.",
+      calibrateDone: "Danke! Öffne den Mund,\num zu sprechen.",
+      calibrateFailed: "Offen und geschlossen waren nicht\nzu unterscheiden. Einstellung bleibt.",
+      favoriteAdded: "{name} ist jetzt\nein Favorit.",
+      favoriteRemoved: "{name} ist kein\nFavorit mehr.",
+      favoritesEmpty: "Noch keine Favoriten.\nSag \"das gefällt mir\" oder lächle.",
+      showingFavorite: "Favorit {position} von {count}:\n{name}.",
+      allFlowers: "Alle",
+      favoriteFlowers: "Favoriten",
+      seenFlowers: "Gesehen",
+      languageSwitched: "Auf Deutsch umgestellt.",
+      noCamera: "Keine Kamera gefunden.\nNutze die Pfeiltasten, wische\noder tippe auf den Blumen-Knopf.",
+      holdToTalk: "Tippen und halten zum Sprechen,\noder wähle eine Blume mit dem Knopf.",
+      noSpeech: "Tippe einen Blumennamen\noder wähle eine mit dem Knopf.",
+      cameraDenied: "Kamerazugriff blockiert.\nErlaube ihn im Browser und tippe auf Erneut,\noder nutze die Pfeiltasten oder den Blumen-Knopf.",
+      cameraFailed: "Die Kamera startet nicht.\nTippe auf Erneut, nutze die Pfeiltasten,\nwische oder tippe auf den Blumen-Knopf.",
+      faceModelFailed: "Gesichtserkennung nicht geladen.\nTippe auf Erneut, nutze die Pfeiltasten,\nwische oder tippe auf den Blumen-Knopf.",
+      microphoneDenied: "Mikrofonzugriff blockiert.\nTippe einen Blumennamen\noder wähle eine mit dem Knopf.",
+      noMicrophone: "Kein Mikrofon gefunden.\nTippe einen Blumennamen\noder wähle eine mit dem Knopf.",
+      speechOffline: "Spracherkennung ist offline.\nTippe einen Blumennamen\noder wähle eine mit dem Knopf.",
+      retry: "Erneut",
+      pickFlower: "Blumen",
+      typeFlower: "Blumenname eingeben",
+      catalogProblems: "Probleme im Blumenkatalog:",
+      catalogMoreProblems: "...und {count} weitere (siehe Konsole)."
+    }
+  },
+  bg: {
+    speechLang: 'bg-BG',
+    switchWords: ['български', 'bulgarian', 'bulgarisch'],
+    yesWords: ['да', 'добре', 'точно', 'моля'],
+    noWords: ['не', 'грешно'],
+    // Plurals and definite articles: "розите", "лалета", "божурът"
+    pluralRules: [['ите', ''], ['ата', ''], ['ове', ''], ['ета', 'е'], ['ът', ''], ['та', ''], ['и', 'а'], ['и', ''], ['а', '']],
+    fillerWords: ['моля', 'добре', 'ок', 'сега', 'хей', 'ами', 'покажи', 'ми'],
+    negationWords: ['не', 'недей', 'никога', 'без'],
+    commands: {
+      next: ['следващо', 'следващото', 'следващ', 'напред'],
+      previous: ['предишно', 'предишното', 'предишен'],
+      random: ['случайно', 'изненадай ме', 'какво да е'],
+      back: ['върни се', 'назад'],
+      whatIsThis: ['какво е това', 'кое е това', 'кое цвете е това'],
+      repeat: ['повтори', 'още веднъж', 'пак'],
+      stopListening: ['спри да слушаш', 'спри', 'стоп', 'тихо'],
+      mute: ['без звук', 'не говори', 'млъкни'],
+      unmute: ['със звук', 'говори пак', 'говори ми'],
+      favorite: ['това ми харесва', 'харесва ми'],
+      favorites: ['покажи любимите', 'моите любими', 'любимите', 'любими']
+    },
+    colors: {
+      red: ['червен'], pink: ['розов'], white: ['бял', 'бел'], yellow: ['жълт'],
+      orange: ['оранжев'], purple: ['лилав'], blue: ['син']
+    },
+    colorPhrases: ['нещо {color}', '{color} цвете', '{color} цветя', 'в {color}'],
+    seasons: {
+      spring: ['пролет', 'пролетни'], summer: ['лято', 'летни'],
+      autumn: ['есен', 'есенни'], winter: ['зима', 'зимни']
+    },
+    seasonPhrases: ['{season}', '{season} цветя'],
+    origins: {
+      europe: ['Европа', 'европейски'], asia: ['Азия', 'азиатски'],
+      africa: ['Африка', 'африкански'], americas: ['Америка', 'американски']
+    },
+    originPhrases: ['от {origin}', '{origin} цвете', '{origin} цветя'],
+    ui: {
+      loading: "Зареждане на цветята...",
+      startingCamera: "Камерата се включва...",
+      showFace: "Покажи лицето си,\nза да започне проследяването.",
+      attract: "Ела по-близо и\nпокажи лицето си.",
+      openMouth: "Отвори уста, за да включиш\nгласовото разпознаване.",
+      listening: "Слушам! Кажи ми кое\nцвете искаш да видиш.",
+      missHear: "Не разбрах.\nЕто едно случайно цвете.",
+      didYouMean: "Имаше предвид {name}?\nОтвори уста и кажи да или не.",
+      showingYou: "Ето ти\n{name}.",
+      heardUnknown: "Чух \"{heard}\",\nно не познавам такова цвете.\nЕто едно случайно цвете.",
+      whatIsThis: "Това е {name}.",
+      noColor: "Нямам цветя в цвят {color}.",
+      showingColor: "Нещо {color}, {position} от {count}:\n{name}.",
+      noSeason: "Нито едно от цветята ми\nне цъфти през сезон {season}.",
+      showingSeason: "Цъфти през сезон {season}, {position} от {count}:\n{name}.",
+      noOrigin: "Нямам цветя\nот {origin}.",
+      showingOrigin: "От {origin}, {position} от {count}:\n{name}.",
+      cardScientific: "Научно име:\n{scientific}",
+      cardColors: "Цветове:\n{list}.",
+      cardSeasons: "Цъфти:\n{list}.",
+      cardOrigins: "Произход:\n{list}.",
+      cardSymbolism: "Символ на\n{symbolism}.",
+      nothingBack: "Все още няма\nкъде да се върна.",
+      listeningPaused: "Слушането е на пауза.\nКимни, за да разглеждаш цветята.",
+      narrateAlsoCalled: "Ето ти {name}, наричано още {other}.",
+      narrationOff: "Гласът е изключен.",
+      narrationOn: "Гласът е включен.",
+      calibrateClosed: "Калибриране: дръж устата\nси затворена и гледай тук.",
+      calibrateOpen: "Сега отвори широко\nуста и задръж.",
+      calibrateDone: "Благодаря! Отвори уста,\nза да говориш.",
+      calibrateFailed: "Не различих отворена от затворена\nуста. Настройката остава.",
+      favoriteAdded: "{name} е добавено\nкъм любимите.",
+      favoriteRemoved: "{name} е премахнато\nот любимите.",
+      favoritesEmpty: "Още нямаш любими.\nКажи \"харесва ми\" или се усмихни.",
+      showingFavorite: "Любимо {position} от {count}:\n{name}.",
+      allFlowers: "Всички",
+      favoriteFlowers: "Любими",
+      seenFlowers: "Видени",
+      languageSwitched: "Превключих на български.",
+      noCamera: "Няма камера.\nИзползвай стрелките, плъзни\nили натисни бутона с цветя.",
+      holdToTalk: "Докосни и задръж, за да говориш,\nили избери цвете с бутона.",
+      noSpeech: "Напиши име на цвете\nили избери с бутона.",
+      cameraDenied: "Достъпът до камерата е блокиран.\nРазреши го в браузъра и натисни Отново,\nили използвай стрелките или бутона с цветя.",
+      cameraFailed: "Камерата не се включи.\nНатисни Отново, използвай стрелките,\nплъзни или натисни бутона с цветя.",
+      faceModelFailed: "Разпознаването на лица не се зареди.\nНатисни Отново, използвай стрелките,\nплъзни или натисни бутона с цветя.",
+      microphoneDenied: "Достъпът до микрофона е блокиран.\nНапиши име на цвете\nили избери с бутона.",
+      noMicrophone: "Няма микрофон.\nНапиши име на цвете\nили избери с бутона.",
+      speechOffline: "Разпознаването на реч е офлайн.\nНапиши име на цвете\nили избери с бутона.",
+      retry: "Отново",
+      pickFlower: "Цветя",
+      typeFlower: "Напиши име на цвете",
+      catalogProblems: "Проблеми в каталога с цветя:",
+      catalogMoreProblems: "...и още {count} (виж конзолата)."
+    }
+  }
+};
+
+let currentLocale = getInitialLocale();
+
+// ==============================================
+// HELPERS
+// ==============================================
+// Locale from the ?lang= URL parameter ("de", "bg-BG"), else the default
+function getInitialLocale() {
+  if (typeof window === 'undefined' || !window.location) return DEFAULT_LOCALE;
+  const requested = new URLSearchParams(window.location.search).get('lang');
+  const code = requested ? requested.toLowerCase().split('-')[0] : DEFAULT_LOCALE;
+  return LOCALES[code] ? code : DEFAULT_LOCALE;
+}
+
+function getLocale(code = currentLocale) {
+  return LOCALES[code] || LOCALES[DEFAULT_LOCALE];
+}
+
+// UI string for the current locale, falling back to the default locale
+function t(key, params = {}) {
+  const text = getLocale().ui[key] || LOCALES[DEFAULT_LOCALE].ui[key] || key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+// Localized names first (the first one is displayed), then the manifest's own names
+function localizedFlowerNames(flower, code = currentLocale) {
+  const defaultNames = [flower.name, ...flower.synonyms];
+  const localNames = (flower.names && flower.names[code]) || [];
+  return [...localNames, ...defaultNames.filter(name => !localNames.includes(name))];
+}
+
+// Manifest text for the current locale: plain text, or text per locale falling back to the default locale
+function localizedText(value, code = currentLocale) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  return value[code] || value[DEFAULT_LOCALE] || '';
+}
+
+// Checks the transcript for a switch word of another locale
+function findLocaleSwitch(transcript, code = currentLocale) {
+  const words = normalizeText(transcript).split(' ');
+  for (const [other, locale] of Object.entries(LOCALES)) {
+    if (other === code) continue;
+    if (locale.switchWords.some(word => words.includes(normalizeText(word)))) return other;
+  }
+  return null;
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DEFAULT_LOCALE, LOCALES, getLocale, localizedFlowerNames, localizedText };
+}
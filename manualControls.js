@@ -0,0 +1,223 @@
+/*
+Manual Controls - Keyboard, mouse and touch instead of face and voice
+
+For browsers without a camera or speech recognition, and for visitors who
+cannot use face or voice input. Every manual input tells the interaction
+state machine a visitor is there (see interaction.js), so the TV shows even
+with no camera and no face.
+
+Controls:
+- Arrow keys: Left/Up previous flower, Right/Down next flower
+- Swipe left/right on the screen: Next/previous flower
+- Tap and hold on the screen: Like opening the mouth; listens while held
+- Flowers button: Opens the flower picker with a search field; a typed name
+  (or command like "next", "something purple") goes through the same name
+  matcher as speech. Enter or / opens it from the keyboard, Escape closes it.
+  Tabs list all flowers, the favorites (★) or the ones seen, most recent
+  first and marked with how they were reached (see viewingHistory.js).
+
+Key Functions:
+- createFlowerPicker(): Builds the picker button and panel once the catalog is loaded
+- updateFlowerPicker(): Relabels the picker after a language switch, a new flower or favorite
+- showPickerList(list): 'all', 'favorites' or 'seen'
+- startPointer(x, y) / movePointer(x, y) / endPointer(x, y): Swipes and holds
+- isHolding(): True while a hold stands in for an open mouth
+- handleManualKey(keyCode): Arrow keys, Enter, /, Escape; returns true if handled
+- submitTypedText(text): Runs typed text like a recognizer result
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const SWIPE_MIN_DISTANCE = 60;  // Pixels sideways for a swipe
+const SWIPE_MAX_MS = 600;       // Slower movements are not swipes
+const HOLD_MAX_MOVE = 20;       // Moving further than this turns a hold into a swipe
+
+let pointerStart = null;        // { x, y, time } while a finger or mouse button is down
+let pointerMoved = false;
+let pickerButton;               // p5.Element toggling the picker
+let pickerPanel;                // p5.Element with the search field and flower buttons
+let pickerSearch;               // p5.Element text input
+let pickerFlowerButtons = [];
+let pickerTabs = {};            // List name -> p5.Element tab button
+let pickerList = 'all';         // Flowers the picker lists: 'all', 'favorites', 'seen'
+
+// ==============================================
+// POINTER - Swipes and tap-and-hold
+// ==============================================
+function startPointer(x, y) {
+  if (pointerStart) return; // Touch and its emulated mouse event
+  pointerStart = { x, y, time: millis() };
+  pointerMoved = false;
+  interaction.dispatch('manual-input');
+}
+
+function movePointer(x, y) {
+  if (!pointerStart) return;
+  if (dist(x, y, pointerStart.x, pointerStart.y) > HOLD_MAX_MOVE) pointerMoved = true;
+}
+
+function endPointer(x, y) {
+  if (!pointerStart) return;
+  let dx = x - pointerStart.x;
+  let dy = y - pointerStart.y;
+  let quick = millis() - pointerStart.time < SWIPE_MAX_MS;
+  pointerStart = null;
+
+  if (quick && abs(dx) > SWIPE_MIN_DISTANCE && abs(dx) > abs(dy)) {
+    // Swipe left brings in the next flower, like turning a page
+    inputSource = 'touch';
+    runVoiceCommand({ type: dx < 0 ? 'next' : 'previous' });
+  }
+}
+
+function isHolding() {
+  return pointerStart !== null && !pointerMoved;
+}
+
+// ==============================================
+// KEYBOARD
+// ==============================================
+function handleManualKey(keyCode) {
+  if (isTypingInPicker()) return false;
+
+  if (keyCode === LEFT_ARROW || keyCode === UP_ARROW) {
+    interaction.dispatch('manual-input');
+    inputSource = 'keyboard';
+    runVoiceCommand({ type: 'previous' });
+  } else if (keyCode === RIGHT_ARROW || keyCode === DOWN_ARROW) {
+    interaction.dispatch('manual-input');
+    inputSource = 'keyboard';
+    runVoiceCommand({ type: 'next' });
+  } else if (keyCode === ENTER || key === '/') {
+    openFlowerPicker();
+  } else if (keyCode === ESCAPE) {
+    closeFlowerPicker();
+  } else {
+    return false;
+  }
+  return true;
+}
+
+// Keys typed into the search field are not shortcuts
+function isTypingInPicker() {
+  return pickerSearch && document.activeElement === pickerSearch.elt;
+}
+
+// ==============================================
+// TYPED NAMES - Same matcher as speech
+// ==============================================
+function submitTypedText(text) {
+  if (!text || !text.trim()) return;
+  console.log(`Typed: ${text}`);
+  interaction.dispatch('manual-input');
+  inputSource = 'typed';
+  answerSpeech([{ transcript: text, confidence: 1 }]);
+}
+
+// ==============================================
+// PICKER - On-screen list of flowers
+// ==============================================
+function createFlowerPicker() {
+  if (pickerButton) return;
+
+  pickerButton = createButton('✿');
+  pickerButton.class('picker-toggle');
+  // Clicks, not mousedown: they also arrive on touch screens with gestures locked
+  pickerButton.elt.addEventListener('click', () => (pickerPanel.elt.hidden ? openFlowerPicker() : closeFlowerPicker()));
+
+  pickerPanel = createDiv();
+  pickerPanel.class('flower-picker');
+  pickerPanel.elt.hidden = true;
+
+  pickerSearch = createInput('');
+  pickerSearch.parent(pickerPanel);
+  pickerSearch.elt.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      submitTypedText(pickerSearch.value());
+      pickerSearch.value('');
+      closeFlowerPicker();
+    } else if (event.key === 'Escape') {
+      closeFlowerPicker();
+    }
+  });
+
+  let tabs = createDiv();
+  tabs.class('picker-tabs');
+  tabs.parent(pickerPanel);
+  for (let list of ['all', 'favorites', 'seen']) {
+    pickerTabs[list] = createButton('');
+    pickerTabs[list].parent(tabs);
+    pickerTabs[list].elt.addEventListener('click', () => showPickerList(list));
+  }
+
+  let grid = createDiv();
+  grid.class('flower-grid');
+  grid.parent(pickerPanel);
+  pickerFlowerButtons = crtTVFlowers.map((flower, i) => {
+    let button = createButton('');
+    button.parent(grid);
+    let image = createImg(flower.thumbnail || flower.image, '');
+    image.parent(button);
+    image.elt.onerror = () => image.hide(); // The name alone when the picture is missing
+    createSpan('').parent(button);
+    button.elt.addEventListener('click', () => {
+      interaction.dispatch('manual-input');
+      inputSource = 'picker';
+      selectFlower(i);
+      messageQueue.clear();
+      closeFlowerPicker();
+    });
+    return button;
+  });
+
+  updateFlowerPicker();
+}
+
+// Labels in the current language, and the flowers of the chosen list
+function updateFlowerPicker() {
+  if (!pickerButton) return;
+  pickerButton.attribute('aria-label', t('pickFlower'));
+  pickerButton.attribute('title', t('pickFlower'));
+  pickerSearch.attribute('placeholder', t('typeFlower'));
+  pickerSearch.attribute('aria-label', t('typeFlower'));
+  pickerTabs.all.html(t('allFlowers'));
+  pickerTabs.favorites.html('★ ' + t('favoriteFlowers'));
+  pickerTabs.seen.html(t('seenFlowers'));
+  for (let [list, tab] of Object.entries(pickerTabs)) tab.attribute('aria-pressed', String(list === pickerList));
+
+  // Seen: most recent first, with how each was reached last
+  let seen = viewingHistory.recentIds();
+  let lastHow = {};
+  for (let entry of viewingHistory.entries()) lastHow[entry.id] = entry.how;
+
+  pickerFlowerButtons.forEach((button, i) => {
+    let id = crtTVFlowers[i].id;
+    let favorite = viewingHistory.isFavorite(id);
+    let label = (favorite ? '★ ' : '') + crtTVNames[i][0];
+    if (pickerList === 'seen' && lastHow[id]) label = HISTORY_HOW[lastHow[id]] + ' ' + label;
+    button.elt.querySelector('span').textContent = label;
+
+    let shown = pickerList === 'all' || (pickerList === 'favorites' && favorite) || (pickerList === 'seen' && seen.includes(id));
+    button.elt.hidden = !shown;
+    button.style('order', pickerList === 'seen' ? seen.indexOf(id) : i);
+  });
+}
+
+function showPickerList(list) {
+  pickerList = list;
+  updateFlowerPicker();
+}
+
+function openFlowerPicker() {
+  if (!pickerPanel) return;
+  interaction.dispatch('manual-input');
+  pickerPanel.elt.hidden = false;
+  pickerSearch.elt.focus();
+}
+
+function closeFlowerPicker() {
+  if (!pickerPanel) return;
+  pickerPanel.elt.hidden = true;
+  pickerSearch.elt.blur();
+}
@@ -0,0 +1,225 @@
+/*
+Messages - Prompts and toasts drawn on demand
+
+Texts on the TV's prompt and label planes are drawn when they are shown, in
+the current language, instead of one pre-rendered buffer per text. Long texts
+wrap to the plane and shrink until they fit; a new text fades and slides in
+over the old one.
+
+A message is { text, key, theme, detail }:
+- text: What to show; \n starts a new line
+- key: UI string key in locales.js it was made from, if any
+- theme: Look of the text, from MESSAGE_THEMES
+- detail: Optional smaller line under the text (countdown, what was heard);
+  it changes without a transition
+
+Toasts (answers, confirmations) wait in a queue, so a quick second message
+does not hide the first: each shows for at least minMs before the next one,
+and the last stays until the queue is cleared (when listening starts again).
+
+Key Functions:
+- createMessage(text, options) / uiMessage(key, params, options): New message
+- createMessageQueue(options): Toast queue; queue.show(message), queue.current(), queue.clear()
+- createMessageDisplay(options): Graphics buffer showing one message at a time with transitions;
+  display.update(message) returns the buffer to use as a texture
+- wrapText(text, maxWidth, measure): Lines that fit maxWidth
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const MESSAGE_THEMES = {
+  status: { size: 26, color: [0x56, 0x36, 0x5C] },   // Loading, starting camera, show your face
+  prompt: { size: 16, color: [0x56, 0x36, 0x5C] },   // What to do next
+  warning: { size: 18, color: [0x8A, 0x1C, 0x3A] },  // No camera, no speech recognition
+  feedback: { size: 16, color: [0x56, 0x36, 0x5C], panel: [255, 255, 255, 150] }, // Toasts
+  answer: { size: 22, color: [0x56, 0x36, 0x5C], panel: [255, 255, 255, 150] },   // "This is a rose."
+  label: { size: 22, color: [0x56, 0x36, 0x5C] }     // "Showing you rose."
+};
+
+const MESSAGE_SETTINGS = {
+  width: 400,          // Size of a message buffer (the TV's planes)
+  height: 400,
+  padding: 10,
+  lineHeight: 1.25,    // Times the text size
+  minSize: 10,         // Smallest size long texts shrink to
+  detailScale: 0.8,    // Detail line size, times the text size
+  transitionMs: 300,   // Fade and slide between two messages
+  slide: 24,           // Pixels a message slides while fading
+  minMs: 2000,         // Toasts show at least this long before the next one
+  maxQueue: 4          // Waiting toasts beyond this drop the oldest
+};
+
+// ==============================================
+// MESSAGES
+// ==============================================
+function createMessage(text, options = {}) {
+  return {
+    text: String(text),
+    key: options.key || null,
+    theme: MESSAGE_THEMES[options.theme] ? options.theme : 'prompt',
+    detail: options.detail != null ? String(options.detail) : null
+  };
+}
+
+// Message from a UI string of the current locale (see locales.js)
+function uiMessage(key, params = {}, options = {}) {
+  return createMessage(t(key, params), { ...options, key: key });
+}
+
+// Same text and look; the detail line may differ
+function isSameMessage(a, b) {
+  if (!a || !b) return a === b;
+  return a.text === b.text && a.theme === b.theme;
+}
+
+// ==============================================
+// QUEUE - Toasts one after another
+// ==============================================
+// options.clock(): Current time in ms (default Date.now)
+// options.settings: Overrides for MESSAGE_SETTINGS
+function createMessageQueue(options = {}) {
+  const clock = options.clock || (() => Date.now());
+  const settings = { ...MESSAGE_SETTINGS, ...(options.settings || {}) };
+
+  let waiting = [];
+  let shown = null;
+  let shownSince = 0;
+
+  function show(message) {
+    const last = waiting.length > 0 ? waiting[waiting.length - 1] : shown;
+    if (isSameMessage(last, message)) return; // Same toast twice in a row
+    waiting.push(message);
+    if (waiting.length > settings.maxQueue) waiting.shift();
+  }
+
+  // The toast to show now, null when none
+  function current() {
+    const now = clock();
+    if (waiting.length > 0 && (!shown || now - shownSince >= settings.minMs)) {
+      shown = waiting.shift();
+      shownSince = now;
+    }
+    return shown;
+  }
+
+  function clear() {
+    waiting = [];
+    shown = null;
+  }
+
+  return { show, current, clear };
+}
+
+// ==============================================
+// DISPLAY - Draw a message into a buffer
+// ==============================================
+// options.clock(), options.settings as for the queue
+function createMessageDisplay(options = {}) {
+  const clock = options.clock || (() => Date.now());
+  const settings = { ...MESSAGE_SETTINGS, ...(options.settings || {}) };
+  const graphic = createGraphics(settings.width, settings.height);
+
+  let shown = null;
+  let previous = null;
+  let changedAt = -Infinity;
+  let drawnKey = null;   // What the buffer holds, to skip redrawing unchanged frames
+
+  // message: what to show now (null for nothing); returns the buffer
+  function update(message) {
+    const now = clock();
+    if (!isSameMessage(message, shown)) {
+      previous = shown;
+      changedAt = now;
+    }
+    shown = message;
+
+    const progress = Math.min(1, (now - changedAt) / settings.transitionMs);
+    const key = progress < 1 ? null : JSON.stringify(shown);
+    if (key === null || key !== drawnKey) {
+      graphic.clear();
+      if (previous && progress < 1) drawMessage(previous, 1 - progress, -settings.slide * progress);
+      if (shown) drawMessage(shown, progress, settings.slide * (1 - progress));
+      drawnKey = key;
+    }
+    return graphic;
+  }
+
+  // One message, centered, shrunk until it fits; opacity 0-1, offsetY in pixels
+  function drawMessage(message, opacity, offsetY) {
+    const theme = MESSAGE_THEMES[message.theme];
+    const maxWidth = settings.width - 2 * settings.padding;
+    const maxHeight = settings.height - 2 * settings.padding;
+
+    let size = theme.size;
+    let lines;
+    for (;;) {
+      graphic.textSize(size);
+      lines = wrapText(message.text, maxWidth, text => graphic.textWidth(text));
+      const height = lines.length * size * settings.lineHeight + (message.detail ? size * settings.detailScale * 2 : 0);
+      if (height <= maxHeight || size <= settings.minSize) break;
+      size--;
+    }
+
+    const centerX = settings.width / 2;
+    const centerY = settings.height / 2 + offsetY;
+    const textHeight = lines.length * size * settings.lineHeight;
+    const detailSize = size * settings.detailScale;
+
+    graphic.noStroke();
+    if (theme.panel) {
+      const [r, g, b, a] = theme.panel;
+      const panelHeight = textHeight + (message.detail ? detailSize * 2 : 0) + 2 * settings.padding;
+      graphic.fill(r, g, b, a * opacity);
+      graphic.rect(settings.padding, centerY - panelHeight / 2, maxWidth, panelHeight, 12);
+    }
+
+    const [r, g, b] = theme.color;
+    graphic.fill(r, g, b, 255 * opacity);
+    graphic.textAlign(CENTER, CENTER);
+    graphic.textLeading(size * settings.lineHeight);
+    const textY = message.detail ? centerY - detailSize : centerY;
+    graphic.text(lines.join('\n'), centerX, textY);
+
+    if (message.detail) {
+      graphic.textSize(detailSize);
+      graphic.text(message.detail, centerX, textY + textHeight / 2 + detailSize);
+    }
+  }
+
+  return { update, graphic };
+}
+
+// ==============================================
+// WRAP - Lines that fit a width
+// ==============================================
+// measure(text): Width of a text at the current size
+function wrapText(text, maxWidth, measure) {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (!line || measure(candidate) <= maxWidth) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+      // Words too long for a line on their own (German compounds) break anywhere
+      while (measure(line) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && measure(line.slice(0, cut)) > maxWidth) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MESSAGE_THEMES, MESSAGE_SETTINGS, createMessage, isSameMessage, createMessageQueue, wrapText };
+}
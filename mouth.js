@@ -0,0 +1,120 @@
+/*
+Mouth - Mouth-open detection relative to face size, with calibration
+
+The lip gap (points 13 and 14) is divided by the face width (points 234 and
+454), so the same mouth counts as open whether the visitor stands close to the
+camera or far away. Two thresholds give hysteresis: the mouth opens above
+open and only closes again below close, so a gap near one threshold does not
+flicker between open and closed.
+
+Calibration is optional: add ?calibrate=1 to the URL to run it for every
+visitor when they take control, or press C. The visitor keeps the mouth
+closed, then opens it wide; the thresholds are placed between the two and
+kept for that visitor only, until they leave. The next visitor starts from
+the defaults (or is calibrated again).
+
+Key Variables:
+- MOUTH_THRESHOLDS: Default { open, close } ratios of lip gap to face width
+
+Key Functions:
+- mouthOpenness(lipGap, faceWidth): Lip gap as a ratio of the face width
+- isMouthOpen(ratio, wasOpen, thresholds): Open/closed with hysteresis
+- createMouthCalibration(options): Records closed and open mouth, returns thresholds
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const MOUTH_THRESHOLDS = {
+  open: 0.06,   // Open when the lip gap is above 6% of the face width
+  close: 0.035  // Closed again below 3.5%
+};
+
+const MOUTH_CALIBRATION = {
+  stepMs: 2500,      // How long each pose is recorded
+  settleMs: 700,     // Samples in the first part of a step are skipped while the visitor reacts
+  minSamples: 10,    // Fewer samples than this per pose and calibration fails
+  minGap: 0.03,      // Open and closed must differ at least this much
+  openAt: 0.6,       // Open threshold, as a fraction of the way from closed to open
+  closeAt: 0.35      // Close threshold, same
+};
+
+// ==============================================
+// DETECT - Openness and hysteresis
+// ==============================================
+// Returns 0 when the face width is unknown, so a lost face reads as closed
+function mouthOpenness(lipGap, faceWidth) {
+  if (!lipGap || !faceWidth || faceWidth <= 0) return 0;
+  return lipGap / faceWidth;
+}
+
+function isMouthOpen(ratio, wasOpen, thresholds = MOUTH_THRESHOLDS) {
+  return wasOpen ? ratio > thresholds.close : ratio > thresholds.open;
+}
+
+// ==============================================
+// CALIBRATE - Closed mouth, then open mouth
+// ==============================================
+// options.clock(): Current time in ms (default Date.now)
+// options.settings: Overrides for MOUTH_CALIBRATION
+// calibration.step is 'closed', 'open', then 'done' or 'failed';
+// calibration.thresholds is set once done
+function createMouthCalibration(options = {}) {
+  const clock = options.clock || (() => Date.now());
+  const settings = { ...MOUTH_CALIBRATION, ...(options.settings || {}) };
+  const samples = { closed: [], open: [] };
+
+  let step = 'closed';
+  let stepTime = clock();
+  let thresholds = null;
+
+  // Feed one openness ratio per frame
+  function addSample(ratio) {
+    if (step !== 'closed' && step !== 'open') return;
+    const inStep = clock() - stepTime;
+    if (inStep >= settings.settleMs && Number.isFinite(ratio)) samples[step].push(ratio);
+    if (inStep < settings.stepMs) return;
+
+    if (step === 'closed') {
+      step = 'open';
+      stepTime = clock();
+    } else {
+      thresholds = computeThresholds(samples.closed, samples.open, settings);
+      step = thresholds ? 'done' : 'failed';
+    }
+  }
+
+  return {
+    addSample,
+    get step() { return step; },
+    get thresholds() { return thresholds; },
+    get finished() { return step === 'done' || step === 'failed'; }
+  };
+}
+
+// Medians of both poses; null when they cannot be told apart
+function computeThresholds(closedSamples, openSamples, settings = MOUTH_CALIBRATION) {
+  if (closedSamples.length < settings.minSamples || openSamples.length < settings.minSamples) return null;
+  const closed = median(closedSamples);
+  const open = median(openSamples);
+  const gap = open - closed;
+  if (gap < settings.minGap) return null;
+  return {
+    open: closed + gap * settings.openAt,
+    close: closed + gap * settings.closeAt
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MOUTH_THRESHOLDS, MOUTH_CALIBRATION,
+    mouthOpenness, isMouthOpen, createMouthCalibration, computeThresholds
+  };
+}
@@ -0,0 +1,230 @@
+/*
+Flower Name Matcher - Fuzzy and phonetic matching of spoken names
+
+Scores every flower name and synonym in crtTVNames against what the
+recognizer heard, so near misses still find the right flower:
+- Plurals: "roses", "tulips", "lilies"
+- Compound and split words: "forgetmenot", "sun flower"
+- Misspellings / mishearings by edit distance: "lavendar"
+- Sound-alikes by Soundex code: "pioney" / "peony"
+- Accents and other alphabets: "gänseblümchen", "божур" (Soundex on a transliteration)
+
+Every recognizer alternative is scored; the best score per flower wins.
+Scores are between 0 and 1. At or above MATCH_ACCEPT_SCORE the flower is
+shown; between MATCH_SUGGEST_SCORE and MATCH_ACCEPT_SCORE the visitor is
+asked "Did you mean X?".
+
+Key Functions:
+- rankFlowerMatches(transcripts, names, options): Ranked [{ index, name, score }] for all flowers
+- scoreName(words, name, pluralRules): Best score of one name against a list of heard words
+- normalizeText(text): Lowercase, strip accents and punctuation
+- levenshtein(a, b): Edit distance between two strings
+- soundex(word): Four character Soundex code
+- isAffirmative(transcript, words) / isNegative(transcript, words): Answers to "Did you mean X?"
+
+Plural rules and yes/no words come from the locale (see locales.js); without
+one, the English lists are used.
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+// English plural rules and yes/no words for callers that pass none; the
+// browser has locales.js loaded first, Node loads it here
+const MATCH_ENGLISH = typeof module !== 'undefined' && module.exports
+  ? require('./locales.js').LOCALES.en
+  : LOCALES.en;
+const MATCH_ACCEPT_SCORE = 0.85;  // Show the flower directly
+const MATCH_SUGGEST_SCORE = 0.6;  // Ask "Did you mean X?"
+const MATCH_PHONETIC_SCORE = 0.8; // Score for a Soundex match that edit distance rates lower
+const MATCH_PHONETIC_LENGTH_RATIO = 0.75; // Soundex only compares spellings of similar length
+const MATCH_ALTERNATIVE_WEIGHT = 0.95; // Later recognizer alternatives count slightly less
+
+// Cyrillic to Latin, only used to give Soundex something to work with
+const TRANSLITERATION = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y',
+  к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u',
+  ф: 'f', х: 'h', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'sht', ъ: 'a', ь: 'y', ю: 'yu', я: 'ya'
+};
+
+// ==============================================
+// TEXT - Normalization and word forms
+// ==============================================
+// Lowercase, strip accents, and turn punctuation into spaces
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/ß/g, 'ss')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function splitWords(text) {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+// The word itself plus the singular forms it could be a plural of
+// pluralRules: [ending, replacement] pairs of the current language
+function wordForms(word, pluralRules = MATCH_ENGLISH.pluralRules) {
+  const forms = [word];
+  for (const [ending, replacement] of pluralRules) {
+    if (word.length > ending.length + 2 && word.endsWith(ending) && !word.endsWith('ss')) {
+      forms.push(word.slice(0, -ending.length) + replacement);
+    }
+  }
+  return forms;
+}
+
+function transliterate(word) {
+  return Array.from(word, letter => TRANSLITERATION[letter] || letter).join('');
+}
+
+// ==============================================
+// DISTANCE - Edit distance and phonetic codes
+// ==============================================
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Similarity between 0 and 1 from edit distance
+function editSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+const SOUNDEX_CODES = {
+  b: 1, f: 1, p: 1, v: 1,
+  c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+  d: 3, t: 3,
+  l: 4,
+  m: 5, n: 5,
+  r: 6
+};
+
+function soundex(word) {
+  const letters = transliterate(word.toLowerCase()).replace(/[^a-z]/g, '');
+  if (!letters) return '';
+
+  let code = letters[0].toUpperCase();
+  let last = SOUNDEX_CODES[letters[0]] || 0;
+  for (let i = 1; i < letters.length && code.length < 4; i++) {
+    const letter = letters[i];
+    const digit = SOUNDEX_CODES[letter] || 0;
+    if (digit && digit !== last) code += digit;
+    // 'h' and 'w' do not separate letters with the same code, vowels do
+    if (letter !== 'h' && letter !== 'w') last = digit;
+  }
+  return code.padEnd(4, '0');
+}
+
+// ==============================================
+// SCORE - One name against the heard words
+// ==============================================
+// Compares the name (spaces removed) with every run of heard words of a
+// similar length (spaces removed), so split and joined words line up.
+function scoreName(words, name, pluralRules) {
+  const nameWords = splitWords(name);
+  const target = nameWords.join('');
+  if (!target || words.length === 0) return 0;
+
+  let best = 0;
+  const maxRun = nameWords.length + 1;
+  for (let start = 0; start < words.length; start++) {
+    for (let length = 1; length <= maxRun && start + length <= words.length; length++) {
+      // Every word of the run may be plural ("lilies of the valley")
+      const spellings = words.slice(start, start + length).reduce(
+        (joined, word) => joined.flatMap(prefix => wordForms(word, pluralRules).map(form => prefix + form)), ['']);
+      for (const heard of spellings) {
+        best = Math.max(best, scoreSpelling(heard, target));
+        if (best === 1) return 1;
+      }
+    }
+  }
+  return best;
+}
+
+function scoreSpelling(heard, target) {
+  if (heard === target) return 1;
+  let score = editSimilarity(heard, target);
+  // Sound-alikes; short words share Soundex codes too easily, and the four
+  // character code only covers the start, so "purple" would match "purplesage"
+  const lengthRatio = Math.min(heard.length, target.length) / Math.max(heard.length, target.length);
+  if (score < MATCH_PHONETIC_SCORE && heard.length >= 4 && target.length >= 4 &&
+      lengthRatio >= MATCH_PHONETIC_LENGTH_RATIO) {
+    const code = soundex(heard);
+    if (code && code === soundex(target)) score = MATCH_PHONETIC_SCORE;
+  }
+  return score;
+}
+
+// ==============================================
+// RANK - All flowers against all alternatives
+// ==============================================
+// transcripts: [{ transcript, confidence }] or plain strings, best first
+// names: crtTVNames-style array, one list of names per flower
+// options.pluralRules: plural endings of the current language (English by default)
+// Returns one entry per flower, best first. Ties go to the longer name,
+// so "rose of sharon" beats "rose".
+function rankFlowerMatches(transcripts, names, options = {}) {
+  const ranked = names.map((flowerNames, index) => ({ index, name: flowerNames[0], score: 0, length: 0 }));
+
+  transcripts.forEach((alternative, i) => {
+    const transcript = typeof alternative === 'string' ? alternative : alternative.transcript;
+    const words = splitWords(transcript);
+    const weight = i === 0 ? 1 : MATCH_ALTERNATIVE_WEIGHT;
+
+    names.forEach((flowerNames, index) => {
+      for (const name of flowerNames) {
+        const score = scoreName(words, name, options.pluralRules) * weight;
+        const length = splitWords(name).length;
+        const entry = ranked[index];
+        if (score > entry.score || (score === entry.score && length > entry.length)) {
+          entry.score = score;
+          entry.length = length;
+        }
+      }
+    });
+  });
+
+  return ranked
+    .sort((a, b) => b.score - a.score || b.length - a.length)
+    .map(({ index, name, score }) => ({ index, name, score }));
+}
+
+// ==============================================
+// ANSWERS - Yes/no replies to "Did you mean X?"
+// ==============================================
+function isAffirmative(transcript, yesWords = MATCH_ENGLISH.yesWords) {
+  const words = yesWords.map(normalizeText);
+  return splitWords(transcript).some(word => words.includes(word));
+}
+
+function isNegative(transcript, noWords = MATCH_ENGLISH.noWords) {
+  const words = noWords.map(normalizeText);
+  return splitWords(transcript).some(word => words.includes(word));
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MATCH_ACCEPT_SCORE, MATCH_SUGGEST_SCORE,
+    rankFlowerMatches, scoreName, normalizeText, splitWords, levenshtein, soundex,
+    isAffirmative, isNegative
+  };
+}
@@ -0,0 +1,142 @@
+/*
+Narrator - Spoken announcements with p5.Speech
+
+Speaks the selected flower ("Showing you peony, also called paeonia.") with
+its short description, and reads misses and other feedback aloud. While the
+narrator talks, and for a short moment after, the sketch does not start
+speech recognition so the recognizer does not hear the TV.
+
+Settings come from NARRATION_DEFAULTS and can be overridden in the URL:
+  index.html?voice=Anna&rate=0.9&volume=0.6&mute=1
+- voice: Name of a speechSynthesis voice (default: the browser's voice for the locale)
+- rate: 0.1 - 2, volume: 0 - 1
+- mute: Start silent, e.g. for quiet gallery spaces
+
+Key Variables:
+- narrationMuted: True while narration is switched off
+
+Key Functions:
+- setupNarrator(): Creates the p5.Speech voice
+- narrate(text): Speaks text, cutting off whatever is being said
+- announceFlower(index): Speaks the flower's name, another name and description
+- flowerAnnouncement(index): The text announceFlower() speaks, to combine with other messages
+- isNarrating(): Whether the mic should stay off because the narrator is talking
+- setNarrationMuted(muted): Mute or unmute
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+const NARRATION_DEFAULTS = {
+  voice: null,   // null: let the browser pick a voice for the locale
+  rate: 1,
+  pitch: 1,
+  volume: 1,
+  muted: false
+};
+const NARRATION_MIC_GAP_MS = 600; // Keep the mic off this long after speaking ends
+
+let narrator;                 // p5.Speech instance
+let narrationSettings = readNarrationSettings();
+let narrationMuted = narrationSettings.muted;
+let narrationSpeaking = false;
+let narrationEndTime = 0;     // millis() when the last utterance ended
+
+// ==============================================
+// SETTINGS - Defaults with URL overrides
+// ==============================================
+function readNarrationSettings() {
+  const settings = { ...NARRATION_DEFAULTS };
+  if (typeof window === 'undefined' || !window.location) return settings;
+
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('voice')) settings.voice = params.get('voice');
+  if (params.has('rate')) settings.rate = clampSetting(params.get('rate'), 0.1, 2, settings.rate);
+  if (params.has('volume')) settings.volume = clampSetting(params.get('volume'), 0, 1, settings.volume);
+  if (params.has('mute')) settings.muted = params.get('mute') !== '0';
+  return settings;
+}
+
+function clampSetting(value, min, max, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+}
+
+// ==============================================
+// SETUP
+// ==============================================
+function setupNarrator() {
+  if (typeof window === 'undefined' || !window.speechSynthesis) {
+    console.log('⚠️ Speech synthesis not supported, narration off');
+    return;
+  }
+
+  narrator = new p5.Speech();
+  narrator.setRate(narrationSettings.rate);
+  narrator.setPitch(narrationSettings.pitch);
+  narrator.setVolume(narrationSettings.volume);
+  narrator.onLoad = applyNarratorVoice;
+  narrator.onStart = () => {
+    narrationSpeaking = true;
+  };
+  narrator.onEnd = () => {
+    narrationSpeaking = false;
+    narrationEndTime = millis();
+  };
+  applyNarratorVoice();
+  console.log(`✅ Narration ready${narrationMuted ? ' (muted)' : ''}`);
+}
+
+// Configured voice if there is one, otherwise the locale's language
+function applyNarratorVoice() {
+  if (!narrator) return;
+  narrator.setLang(getLocale().speechLang);
+  if (narrationSettings.voice) narrator.setVoice(narrationSettings.voice);
+}
+
+// ==============================================
+// SPEAK
+// ==============================================
+// p5.Speech reuses one utterance, so never queue: the newest text replaces the old
+function narrate(text) {
+  if (!narrator || narrationMuted || !text) return;
+  window.speechSynthesis.cancel();
+  narrator.speak(text.replace(/\s*\n\s*/g, ' '));
+}
+
+function announceFlower(index) {
+  narrate(flowerAnnouncement(index));
+}
+
+// "Showing you peony, also called paeonia. <description>"
+function flowerAnnouncement(index) {
+  if (!crtTVNames[index]) return '';
+  // Only offer another name from the visitor's language, not a mix
+  const localNames = crtTVFlowers[index].names[currentLocale];
+  const names = localNames && localNames.length > 0 ? localNames : crtTVNames[index];
+
+  let text = names.length > 1
+    ? t('narrateAlsoCalled', { name: names[0], other: names[1] })
+    : t('showingYou', { name: names[0] });
+  const description = localizedText(crtTVFlowers[index].description);
+  if (description) text += ' ' + description;
+  return text;
+}
+
+// True while speaking, and for a short gap after, so the mic stays off
+function isNarrating() {
+  if (!narrator) return false;
+  const speaking = narrationSpeaking || window.speechSynthesis.speaking;
+  return speaking || millis() - narrationEndTime < NARRATION_MIC_GAP_MS;
+}
+
+function setNarrationMuted(muted) {
+  narrationMuted = muted;
+  if (muted && narrator) window.speechSynthesis.cancel();
+  console.log(`Narration ${muted ? 'muted' : 'on'}`);
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { readNarrationSettings, clampSetting };
+}
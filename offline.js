@@ -0,0 +1,96 @@
+/*
+Offline - Vendored libraries and the service worker
+
+Lets the piece run in venues without internet:
+- Libraries: index.html loads p5, ml5, p5-phone and p5.speech from vendor/
+  (filled by node tools/vendor.js); loadLibrary() takes a library from its
+  CDN while vendor/ has no copy
+- FaceMesh model: ml5 loads the MediaPipe files from vendor/face_mesh
+  instead of its CDN
+- Service worker: Registered when the page has loaded. Precaches the page,
+  its scripts (CDN copies too), the vendored files, the TV model and every
+  flower image on the first visit, so later visits start fully offline and
+  the page installs as an app (see serviceWorker.js, manifest.webmanifest)
+
+Speech recognition stays a browser service: Chrome sends the audio to its
+servers, so without internet the recognizer reports a network error and the
+sketch falls back to typed names and the picker (see inputStatus.js).
+
+Key Functions:
+- isVendored(file): True when vendor/vendored.js lists the file
+- loadLibrary(file, cdnUrl): Loads a library from vendor/, or from its CDN when it is not there
+- faceMeshSolutionPath(): Where ml5 loads the FaceMesh model from, null for its default CDN
+- registerServiceWorker(): Installs the service worker (not with ?offline=0); runs on the page's load event
+- readOfflineSettings(): OFFLINE_SETTINGS with ?offline= applied
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const OFFLINE_SETTINGS = {
+  serviceWorker: true,                  // ?offline=0 while editing, so changes show without a stale cache
+  serviceWorkerPath: 'serviceWorker.js',
+  faceMeshPath: 'vendor/face_mesh'      // See FACE_MESH_FILES in tools/vendor.js
+};
+
+let offlineSettings = readOfflineSettings();
+
+// ==============================================
+// VENDORED FILES
+// ==============================================
+// vendor/vendored.js defines VENDORED_FILES (see tools/vendor.js)
+function isVendored(file) {
+  return typeof VENDORED_FILES !== 'undefined' && VENDORED_FILES.includes(file);
+}
+
+// Runs while index.html is parsed; the libraries still run in order and before
+// p5 starts the sketch, since scripts added before the page's load event delay it
+function loadLibrary(file, cdnUrl) {
+  const script = document.createElement('script');
+  script.src = isVendored(file) ? file : cdnUrl;
+  script.async = false;
+  document.head.appendChild(script);
+}
+
+function faceMeshSolutionPath() {
+  return isVendored(`${offlineSettings.faceMeshPath}/face_mesh.binarypb`) ? offlineSettings.faceMeshPath : null;
+}
+
+// ==============================================
+// SERVICE WORKER
+// ==============================================
+function registerServiceWorker() {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+  if (!offlineSettings.serviceWorker) {
+    // Remove one from an earlier visit, so the page comes from the network again
+    navigator.serviceWorker.getRegistrations()
+      .then(registrations => registrations.forEach(registration => registration.unregister()))
+      .catch(() => {});
+    return;
+  }
+  navigator.serviceWorker.register(offlineSettings.serviceWorkerPath)
+    .then(() => console.log('✅ Service worker registered'))
+    .catch(error => console.log(`⚠️ Service worker not registered: ${error.message}`));
+}
+
+// Not from p5's setup(): the worker does not depend on the sketch starting
+if (typeof window !== 'undefined' && window.addEventListener) {
+  window.addEventListener('load', registerServiceWorker);
+}
+
+// ==============================================
+// URL PARAMETERS
+// ==============================================
+// ?offline=0: no service worker
+function readOfflineSettings() {
+  const settings = { ...OFFLINE_SETTINGS };
+  if (typeof window === 'undefined' || !window.location) return settings;
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('offline')) settings.serviceWorker = params.get('offline') !== '0';
+  return settings;
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OFFLINE_SETTINGS, isVendored, loadLibrary, faceMeshSolutionPath, readOfflineSettings };
+}
@@ -0,0 +1,103 @@
+/*
+Operator Screen - Hidden event log summary for exhibition staff
+
+A panel over the sketch that visitors do not find by accident: press O, or
+open index.html?operator=1. It summarizes the event log (see eventLog.js)
+and exports it for a closer look in a spreadsheet:
+- Visits and their average length (face acquired to face lost)
+- Times listened, matches, misses, the miss rate and "Did you mean" questions
+- Most requested flowers
+- Export JSON / Export CSV: Downloads the whole log
+- Clear log: Starts over, e.g. on the first day of an exhibition
+
+The panel is in English only; it is not meant for visitors.
+
+Key Functions:
+- createOperatorScreen(): Builds the hidden panel
+- toggleOperatorScreen(): Shows or hides it
+- updateOperatorScreen(): Refreshes the summary while it is shown
+- exportEvents(format): Downloads the log as 'json' or 'csv'
+*/
+
+// ==============================================
+// GLOBAL VARIABLES
+// ==============================================
+let operatorPanel;     // p5.Element with the summary and buttons
+let operatorSummary;   // p5.Element the summary text goes in
+
+// ==============================================
+// PANEL
+// ==============================================
+function createOperatorScreen() {
+  if (operatorPanel) return;
+
+  operatorPanel = createDiv();
+  operatorPanel.class('operator-screen');
+  operatorPanel.elt.hidden = true;
+
+  createElement('h2', 'Operator').parent(operatorPanel);
+  operatorSummary = createElement('pre', '');
+  operatorSummary.parent(operatorPanel);
+
+  let buttons = [
+    ['Export JSON', () => exportEvents('json')],
+    ['Export CSV', () => exportEvents('csv')],
+    ['Clear log', clearEvents],
+    ['Close', toggleOperatorScreen]
+  ];
+  for (let [label, action] of buttons) {
+    let button = createButton(label);
+    button.parent(operatorPanel);
+    button.elt.addEventListener('click', action);
+  }
+}
+
+function toggleOperatorScreen() {
+  if (!operatorPanel) return;
+  operatorPanel.elt.hidden = !operatorPanel.elt.hidden;
+  updateOperatorScreen();
+}
+
+function updateOperatorScreen() {
+  if (!operatorPanel || operatorPanel.elt.hidden) return;
+  operatorSummary.elt.textContent = formatEventSummary(summarizeEvents(eventLog.events()), eventLog.events().length);
+}
+
+function formatEventSummary(summary, count) {
+  let top = summary.topFlowers.map(entry => `${entry.flower} (${entry.count})`).join(', ');
+  return [
+    `Since: ${summary.since === null ? '-' : new Date(summary.since).toLocaleString()}`,
+    `Visits: ${summary.visits}, average ${formatDuration(summary.averageVisitMs)}`,
+    `Listened: ${summary.recognitions} times`,
+    `Matches: ${summary.matches}, misses: ${summary.misses} (miss rate ${Math.round(summary.missRate * 100)}%), "Did you mean": ${summary.suggestions}`,
+    `Most requested: ${top || '-'}`,
+    `Events stored: ${count} of ${eventLog.settings.maxEvents}`
+  ].join('\n');
+}
+
+// 65000 -> "1m 05s"
+function formatDuration(ms) {
+  let seconds = Math.round(ms / 1000);
+  let minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+// ==============================================
+// EXPORT
+// ==============================================
+function exportEvents(format) {
+  eventLog.flush();
+  let stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  if (format === 'csv') {
+    saveStrings(eventsToCSV(eventLog.events()).trimEnd().split('\n'), `events-${stamp}`, 'csv');
+  } else {
+    saveJSON(eventLog.events(), `events-${stamp}.json`);
+  }
+  console.log(`Exported ${eventLog.events().length} events as ${format}`);
+}
+
+function clearEvents() {
+  if (!window.confirm('Delete all logged events?')) return;
+  eventLog.clear();
+  updateOperatorScreen();
+}
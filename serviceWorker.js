@@ -0,0 +1,105 @@
+/*
+Service Worker - Offline start after the first visit
+
+Precaches everything the piece needs on install:
+- The page, the web app manifest and its icons
+- Every local script index.html loads, read from index.html itself
+- The libraries index.html loads with loadLibrary(): the copy in vendor/, or
+  the CDN address while there is none (see offline.js)
+- The vendored libraries and FaceMesh files (VENDORED_FILES, see tools/vendor.js)
+- The TV model (kurty.obj, kurty.mtl), flowers.json, gestures.json and every
+  flower image the manifest names (see catalogAssetPaths() in catalog.js)
+
+A missing file does not stop the install; it is left out and logged.
+
+Requests are answered from the cache first and refreshed from the network in
+the background, so the next visit gets edited files without a new cache
+version. Anything else the page fetches is cached as it arrives.
+
+Key Functions:
+- precache(cache): Adds every file the piece needs to the cache
+- respond(request): Cache first, network refresh in the background
+*/
+
+// Validation and asset paths of the flower manifest (catalog.js only defines functions at the top level)
+importScripts('catalog.js');
+importScripts('vendor/vendored.js');
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const CACHE_NAME = 'flower-tv-v1'; // Change to drop every cached file on the next visit
+const CORE_FILES = [
+  './', 'index.html', 'manifest.webmanifest', 'icon-192.png', 'icon-512.png',
+  'flowers.json', 'gestures.json', 'kurty.obj', 'kurty.mtl'
+];
+
+// ==============================================
+// INSTALL - Precache
+// ==============================================
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(precache).then(() => self.skipWaiting()));
+});
+
+async function precache(cache) {
+  const files = new Set([...CORE_FILES, ...VENDORED_FILES]);
+
+  // Scripts in index.html order, like tools/replay.js loads them
+  const html = await (await fetch('index.html')).text();
+  for (const match of html.matchAll(/<script src="([^"]+)"><\/script>/g)) {
+    if (!/^https?:/.test(match[1])) files.add(match[1]);
+  }
+  // The page loaded these before this worker was installed, so they are not cached yet
+  for (const match of html.matchAll(/loadLibrary\('([^']+)', '([^']+)'\)/g)) {
+    files.add(VENDORED_FILES.includes(match[1]) ? match[1] : match[2]);
+  }
+
+  try {
+    const manifest = await (await fetch('flowers.json')).json();
+    catalogAssetPaths(manifest).forEach(file => files.add(file));
+  } catch (error) {
+    console.log(`⚠️ Flower images not precached: ${error.message}`);
+  }
+
+  const missing = [];
+  await Promise.all([...files].map(file => cache.add(file).catch(() => missing.push(file))));
+  if (missing.length > 0) console.log(`⚠️ Not precached: ${missing.join(', ')}`);
+  console.log(`✅ Precached ${files.size - missing.length} files`);
+}
+
+// ==============================================
+// ACTIVATE - Drop caches of earlier versions
+// ==============================================
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ==============================================
+// FETCH - Cache first, refreshed in the background
+// ==============================================
+self.addEventListener('fetch', (event) => {
+  if (event.request.method !== 'GET') return;
+  event.respondWith(respond(event.request));
+});
+
+async function respond(request) {
+  const cache = await caches.open(CACHE_NAME);
+  // index.html?kiosk=1 and the like are the same page
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+  const refresh = fetch(request).then((response) => {
+    // Opaque responses are CDN scripts loaded without CORS; they still run from the cache
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    refresh.catch(() => {}); // Offline: the cached copy is all there is
+    return cached;
+  }
+  return refresh;
+}
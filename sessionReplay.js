@@ -0,0 +1,213 @@
+/*
+Session Replay - Record and replay face tracking and speech
+
+Records what the camera and recognizer delivered, with timestamps, so a bug
+can be reproduced without standing in front of a webcam and talking.
+
+- Record: open index.html?record=1, use the sketch, then press R to download
+  the session as session-<date>.json
+- Replay: open index.html?replay=sessions/example.json; the file is fed to the
+  sketch instead of the camera and the recognizer
+- Headless: node tools/replay.js sessions/*.json replays sessions in Node and
+  checks their "expect" section (see the runner for details)
+
+Only the keypoints the sketch measures are recorded, already mapped to layout
+units (see layout.js), so a replay does not need a camera and plays the same
+on any screen size. Random choices ("Did not catch that", "random") use a
+recorded seed so they repeat too.
+
+Session file:
+  {
+    "version": 1, "locale": "en", "seed": 1234, "query": "viewer=speaker",
+    "description": "One visitor asks for roses",
+    "keypoints": [234, 454, 13, 14, 4],
+    "mouthThresholds": { "open": 0.06, "close": 0.035 },
+    "events": [
+      { "t": 0, "type": "camera-ready" },
+      { "t": 66, "type": "faces", "faces": [{ "keypoints": { "13": [200, 420, 0] } }] },
+      { "t": 3500, "type": "speech", "alternatives": [{ "transcript": "roses", "confidence": 0.8 }] },
+      { "t": 9000, "type": "speech-end" }
+    ],
+    "expect": { "crtTVIndex": 7, "prompts": ["showFace", "openMouth", "listening"] }
+  }
+t is milliseconds since recording started; "description" and "expect" are
+optional. "query" holds the other URL parameters of the recording; add them
+to the replay URL to replay with the same settings (the headless runner does
+this itself).
+
+Key Variables:
+- sessionMode: { mode: 'live' | 'record' | 'replay', path }
+- replayActive: True when a replay stands in for the camera and recognizer
+
+Key Functions:
+- startRecording(details) / recordEvent(type, data) / recordFaces(results, mapPoint)
+- saveRecording(): Downloads the recording as JSON
+- loadReplay(path, handlers): Loads a session; handlers receive its events
+- updateReplay(): Feeds the events that are due; call once per frame
+- validateSession(session): List of problems in a session file
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const SESSION_VERSION = 1;
+const SESSION_EVENT_TYPES = ['camera-ready', 'faces', 'speech', 'speech-end'];
+
+let sessionMode = readSessionMode();
+let replayActive = sessionMode.mode === 'replay';
+let recording = null;        // Session being recorded
+let recordingStart = 0;
+let replaySession = null;    // Session being replayed
+let replayHandlers = {};
+let replayStart = 0;
+let replayNext = 0;          // Index of the next event to feed
+
+// ?record=1 or ?replay=<path>
+function readSessionMode() {
+  if (typeof window === 'undefined' || !window.location) return { mode: 'live' };
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('replay')) return { mode: 'replay', path: params.get('replay') };
+  if (params.has('record') && params.get('record') !== '0') return { mode: 'record' };
+  return { mode: 'live' };
+}
+
+// ==============================================
+// RECORD
+// ==============================================
+// details.keypoints: FaceMesh indices to keep; details.seed: passed to randomSeed()
+// by the caller; anything else in details (mouthThresholds) is stored as is
+function startRecording(details) {
+  const query = new URLSearchParams(window.location.search);
+  query.delete('record');
+  recording = {
+    version: SESSION_VERSION,
+    recorded: new Date().toISOString(),
+    locale: currentLocale,
+    query: query.toString(),
+    ...details,
+    events: []
+  };
+  recordingStart = millis();
+  console.log('✅ Recording session, press R to save');
+}
+
+function recordEvent(type, data = {}) {
+  if (!recording) return;
+  recording.events.push({ t: Math.round(millis() - recordingStart), type, ...data });
+}
+
+// mapPoint: camera to layout mapping (the sketch's mapKeypoint)
+function recordFaces(results, mapPoint) {
+  if (!recording) return;
+  const round = value => Math.round((value || 0) * 10) / 10;
+  const faces = results.map(face => {
+    const keypoints = {};
+    for (const index of recording.keypoints) {
+      const point = face.keypoints && face.keypoints[index];
+      if (!point) continue;
+      const mapped = mapPoint(point);
+      keypoints[index] = [round(mapped.x), round(mapped.y), round(mapped.z)];
+    }
+    return { keypoints };
+  });
+  recordEvent('faces', { faces });
+}
+
+function saveRecording() {
+  if (!recording) return;
+  const stamp = recording.recorded.replace(/[:.]/g, '-');
+  saveJSON(recording, `session-${stamp}.json`);
+  console.log(`Saved session with ${recording.events.length} events`);
+}
+
+// ==============================================
+// REPLAY
+// ==============================================
+// handlers: { cameraReady(), faces(results), speech(alternatives), speechEnd(), loaded(session) }
+function loadReplay(path, handlers) {
+  replayHandlers = handlers;
+  loadJSON(path, (session) => {
+    const errors = validateSession(session);
+    if (errors.length > 0) {
+      errors.forEach(error => console.log(`⚠️ Replay ${path}: ${error}`));
+      return;
+    }
+    replaySession = session;
+    replayStart = millis();
+    replayNext = 0;
+    console.log(`✅ Replaying ${path}: ${session.events.length} events`);
+    if (replayHandlers.loaded) replayHandlers.loaded(session);
+  }, () => {
+    console.log(`⚠️ Could not load replay ${path}`);
+  });
+}
+
+function updateReplay() {
+  if (!replaySession) return;
+  const elapsed = millis() - replayStart;
+  const events = replaySession.events;
+  while (replayNext < events.length && events[replayNext].t <= elapsed) {
+    feedReplayEvent(events[replayNext++]);
+  }
+}
+
+function feedReplayEvent(event) {
+  switch (event.type) {
+    case 'camera-ready':
+      if (replayHandlers.cameraReady) replayHandlers.cameraReady();
+      break;
+    case 'faces':
+      if (replayHandlers.faces) replayHandlers.faces(event.faces.map(replayFace));
+      break;
+    case 'speech':
+      if (replayHandlers.speech) replayHandlers.speech(event.alternatives);
+      break;
+    case 'speech-end':
+      if (replayHandlers.speechEnd) replayHandlers.speechEnd();
+      break;
+  }
+}
+
+// Recorded { "13": [x, y, z] } back to a FaceMesh-like face with a sparse keypoints array
+function replayFace(face) {
+  const keypoints = [];
+  for (const [index, [x, y, z]] of Object.entries(face.keypoints)) {
+    keypoints[index] = { x, y, z, index: Number(index) };
+  }
+  return { keypoints };
+}
+
+function isReplayFinished() {
+  return replaySession !== null && replayNext >= replaySession.events.length;
+}
+
+// ==============================================
+// VALIDATE
+// ==============================================
+function validateSession(session) {
+  const errors = [];
+  if (!session || typeof session !== 'object') return ['Session is not a JSON object'];
+  if (session.version !== SESSION_VERSION) errors.push(`Unsupported version ${session.version}`);
+  if (!Array.isArray(session.events)) return [...errors, 'Missing "events" list'];
+
+  let last = 0;
+  session.events.forEach((event, i) => {
+    if (!event || !Number.isFinite(event.t)) {
+      errors.push(`Event ${i} has no time "t"`);
+      return;
+    }
+    if (event.t < last) errors.push(`Event ${i} is earlier than the one before`);
+    last = event.t;
+    if (!SESSION_EVENT_TYPES.includes(event.type)) errors.push(`Event ${i} has unknown type "${event.type}"`);
+    if (event.type === 'faces' && !Array.isArray(event.faces)) errors.push(`Event ${i} has no "faces" list`);
+    if (event.type === 'speech' && (!Array.isArray(event.alternatives) || event.alternatives.length === 0)) {
+      errors.push(`Event ${i} has no "alternatives"`);
+    }
+  });
+  return errors;
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SESSION_VERSION, validateSession };
+}
@@ -3,26 +3,70 @@ ML5 FaceMesh Detection - Multiple Points with Velocity (Phone Adapted)
 
 This script uses ML5 FaceMesh with p5-phone for automatic coordinate mapping.
 It tracks 5 face points: eyes, lips, and nose with velocity tracking.
-Works on both phone and desktop with portrait orientation.
+Works on both phone and desktop, in portrait and landscape (see layout.js).
 
 Key Variables:
 - cam: PhoneCamera instance for video feed
+- layout: Canvas size, orientation and scale; keypoints are in its units (see layout.js)
 - faceMesh: ML5 FaceMesh detection model
 - faces: Array to store detected faces
+- viewers, activeViewerId, activeFace: Tracked visitors and the one in control (see viewers.js)
 - facePointIndex1-5: Indices of face points to track (two-variable method)
 - facePointData1-5: Global variables storing face point data (two-variable method)
 - distance1_2, angle1_2: Global measurement variables for eyes
-- distance3_4, angle3_4: Global measurement variables for lips
-- velocity5: Global velocity data for nose (x, y, speed)
+- distance3_4, angle3_4: Global measurement variables for lips (lip gap, compared to distance1_2)
+- velocity5: Global velocity data for nose (x, y, speed) in pixels per second
+- headPose: Yaw, pitch, roll and position of the head; turns the TV and moves the camera (see headPose.js)
+- crtShader, crtEffect: Old TV look for the screen, driven by head position and state (see crtShader.js)
+- channelChanger: Static, roll, power cycle or crossfade between flowers (see channelChange.js)
+- crtTVImages/R/G/B, crtTVNames, crtTVGraphics: Flower catalog, filled from flowers.json (see catalog.js)
+- tvModel: The TV's parts with their materials and its screen, from kurty.obj (see tvModel.js)
+- interaction: State machine that decides when to listen (see interaction.js)
+- mouthThresholds, mouthIsOpen: Mouth-open detection relative to face width (see mouth.js)
+- gestureDetector, gestureBindings: Gestures and the actions they run (see gestures.js, gestures.json)
+- viewingHistory: Flowers seen, how each was reached, and favorites, kept across reloads (see viewingHistory.js)
+- inputSource: How the visitor gave the latest input (voice, gesture, touch...), logged with the flower it shows
+- eventLog: Faces, mouth, listening, transcripts, matches, gestures and errors for operators (see eventLog.js)
+- inputStatus: Camera, face model and speech: starting, ready or failed and why (see inputStatus.js)
+- kiosk: Attract loop, idle reset, detector watchdog and scheduled reload for installations (see kiosk.js)
+- messageQueue: Toasts shown in place of the usual prompt until listening starts again (see messages.js)
 
 Key Functions:
 - setup(): Initializes canvas and PhoneCamera
+- windowResized(): Resizes the canvas and switches between portrait and landscape layouts
 - gotFaces(): Callback function when faces are detected
+- updateViewers(): Follows each visitor and hands control over (see viewers.js)
 - showPoint(): Highlights a specific keypoint with given color and index
-- getKeypoint(): Helper function to safely get keypoint data
+- getKeypoint(): Helper function to safely get keypoint data, smoothed (see smoothing.js)
 - measureDistance(point1, point2): Calculates and shows distance between two points in pixels
 - measureAngle(basePoint, endPoint): Calculates and shows angle from horizontal in degrees
-- measureVelocity(current, previous): Calculates and shows velocity in x, y directions and speed
+- measureVelocity(current, previous, elapsedMs): Calculates velocity in x, y directions and speed, in px/s
+- showVelocity(point, velocity): Shows the last measured velocity as an arrow and text, every frame
+- measureHeadPose(faceNumber): Yaw, pitch, roll and position of a face (see headPose.js)
+- updateInteraction(): Feeds camera, face and mouth to the state machine each frame, runs gestures
+- startMouthCalibration(): Records the visitor's closed and open mouth (see mouth.js)
+- runGestureAction(action, gesture): Runs the action a gesture is bound to
+- mousePressed/mouseDragged/mouseReleased(): Swipes and tap-and-hold (see manualControls.js)
+- promptForState(state): Prompt message drawUI() shows for an interaction state, with countdown or transcript
+- showFeedback(message, theme, speak): Queues a toast and reads it aloud
+- showResult(): Speech callback, matches the transcript to a flower (see nameMatcher.js)
+- receiveSpeech(alternatives): Acts on recognizer or replayed speech while listening
+- setLocale(code): Switches prompts, flower names and recognizer language (see locales.js)
+- runVoiceCommand(command): Runs "next", "go back", "something purple"... (see voiceCommands.js)
+- selectFlower(index, announce, trigger): Shows a flower with the trigger's channel change
+  (see channelChange.js), remembers the previous one for "go back", logs it in the viewing
+  history and reads it aloud (see narrator.js)
+- restoreViewing(): Continues with the flower and "go back" list from the last visit
+- logEvent(type, details): Adds to the event log and refreshes the operator screen (see operatorScreen.js)
+- startCamera() / startFaceModel() / startSpeech(): Start an input and follow it (see inputStatus.js)
+- stopCamera(): Stops the previous camera stream and removes its video before a retry
+- inputFailureMessage(input): Why an input failed and what works instead, in place of the prompt
+- retryInputs(): Starts the failed inputs again (Retry button, kiosk visit reset)
+- updateKiosk(): Feeds presence, detection and listening to the kiosk controller each frame
+- resetVisit(): Starts the next visitor fresh (kiosk idle reset)
+- browseFlowers(subset): Favorites or flowers with a color, season or origin; next / previous
+  step through them until another pick
+- flowerLabel(index, displayName): The label plane, cycling through the flower's info card (see infoCard.js)
 
 Common FaceMesh Keypoint Indices (468 points total):
 Key landmarks:
@@ -37,22 +81,59 @@ Key landmarks:
 Example - Using the two-variable method with global measurements:
 // Global variables are declared at top for indices, data, and measurements
 // In draw(), data and measurements are automatically updated each frame:
-facePointData1 = getKeypoint(facePointIndex1, 0);
+facePointData1 = getKeypoint(facePointIndex1, activeFace);
 distance1_2 = measureDistance(facePointData1, facePointData2);
 angle1_2 = measureAngle(facePointData1, facePointData2);
-velocity5 = measureVelocity(facePointData5, facePointData5Prev);
+velocity5 = measureVelocity(facePointData5, facePointData5Prev, facesTime - facePointTime5);
 
 Controls:
 - Touch screen: Toggle video visibility
+- Arrow keys or swipe: Previous / next flower; tap and hold: Talk (like opening the mouth)
+- Flowers button (or Enter, /): Flower picker; type a name or command and press Enter
+- URL parameter ?lang=en|de|bg, or say "english", "deutsch", "български": Switch language
+- Say "next", "previous", "random", "go back", "show me something purple",
+  "what is this", "repeat" or "stop listening" after opening the mouth
+- Say "I like this one" to add a favorite, "show my favorites" to browse them;
+  the picker lists all flowers, the favorites and the ones seen
+- Say "a blue flower", "spring flowers" or "flowers from Asia" (or type it) to
+  browse the flowers that match
+- Say "mute" / "unmute", press M, or add ?mute=1 to the URL: Narration off / on
+- URL parameters ?voice=, ?rate=, ?volume=: Narration voice settings
+- Gestures (change in gestures.json): nod down/up next/previous flower, shake head random,
+  smile favorite, raise eyebrows "what is this", long blink mute; head tilts are off
+  unless bound (e.g. to next language or the measurement display)
+- URL parameter ?record=1, then R: Record camera and speech to a session file;
+  ?replay=sessions/<file>.json: Replay one instead of camera and speech (see sessionReplay.js)
+- URL parameter ?smooth=0: Raw keypoints without smoothing, to compare
+- URL parameter ?crt=0: Stacked color planes instead of the CRT shader (see crtShader.js)
+- URL parameter ?viewer=largest|first|speaker: Who is in control when several visitors
+  are in view; ?split=1: A TV per visitor (see viewers.js)
+- Press C, or add ?calibrate=1 to the URL: Calibrate mouth open/closed for the visitor
+  in control (with ?calibrate=1, every visitor when they take control)
+- Press O, or add ?operator=1 to the URL: Operator screen with the event log summary and export
+- URL parameter ?offline=0: No service worker, so edited files show at once (see offline.js)
+- URL parameter ?kiosk=1: Unattended installation with attract loop, idle reset,
+  watchdog and scheduled reload (see kiosk.js)
 - Change showData variable (true/false) to toggle measurement visualization
 */
 
 // ==============================================
 // GLOBAL VARIABLES
 // ==============================================
-let cam;                // PhoneCamera instance
+let cam;                // PhoneCamera instance (not created while replaying a session)
+let replayCameraReady = false; // The replayed session's camera has started
 let faceMesh;           // ML5 FaceMesh model
+let inputStatus;        // Which of camera, face model and speech work (see inputStatus.js)
+let retryButton;        // p5.Element shown while a failed input can be tried again
 let faces = [];         // Detected faces
+let facesTime = 0;      // millis() when the current faces were detected
+let keypointSmoother;   // One Euro filters for the tracked points (see smoothing.js)
+let viewerTracker;      // Follows several visitors and picks who is in control (see viewers.js)
+let viewers = [];       // Tracked visitors from the latest detection
+let activeViewerId = null; // Id of the visitor in control, null when nobody is
+let activeFace = -1;    // Index in faces of the visitor in control, -1 when not in view
+let viewerChannels = new Map(); // Split mode: viewer id -> flower index on their TV
+let layout;             // Canvas size, orientation and where the TV and planes go (see layout.js)
 let showVideo = false;   // Toggle video display
 let showData = false;    // Toggle measurement visualization (lines, arcs, text)
 
@@ -73,16 +154,30 @@ let facePointData4 = null;  // Stores mapped lower lip data
 
 let facePointIndex5 = 4;    // Nose tip
 let facePointData5 = null;  // Stores mapped nose data
-let facePointData5Prev = null; // Previous frame data for velocity
+let facePointData5Prev = null; // Previous detection's data for velocity
+let facePointTime5 = 0;     // facesTime of facePointData5
+
+// Extra points for the gesture detectors (see gestures.js)
+const GESTURE_POINTS = {
+  leftEyeTop: 159, leftEyeBottom: 145,
+  rightEyeTop: 386, rightEyeBottom: 374,
+  leftBrow: 105, rightBrow: 334,    // Brow centers, measured to the upper eyelids
+  mouthLeft: 61, mouthRight: 291    // Mouth corners
+};
 
 // Global measurement variables
 let distance1_2 = 0;  // Distance between eyes
 let angle1_2 = 0;     // Angle between eyes
 let distance3_4 = 0;  // Distance between lips
 let angle3_4 = 0;     // Angle between lips
-let velocity5 = { x: 0, y: 0, speed: 0 }; // Nose velocity
+let velocity5 = { x: 0, y: 0, speed: 0 }; // Nose velocity in pixels per second
+let headPose = { yaw: 0, pitch: 0, roll: 0, x: 0, y: 0 }; // Head angles and position (see headPose.js)
+let headPoseEasing;   // Brings headPose back to the center when the face is lost
+let crtShader = null; // Screen shader, null with ?crt=0 (see crtShader.js)
+let crtEffect;        // Eases the shader's effect between interaction states
+let crtParams;        // This frame's effect strengths
+let channelChanger;   // Transitions between flowers (see channelChange.js)
 
-let crtTVModel;
 let crtTVIndex = 0;
 let crtTVImages = [];
 let crtTVImagesR = [];
@@ -91,220 +186,377 @@ let crtTVImagesB = [];
 let crtTVNames = [];  // New array for flower names and synonyms
 let crtTVGraphics = [];
 
-let pg;
-let pgClosed;
-let pgOpen;
-let pgStarting; // added graphic for "Starting camera..."
-let pgShowFace; // added graphic for "Show your face to start tracking"
-let pgMissHear; // added graphic for "Did not catch that..."
+let messageQueue;        // Toasts shown instead of the usual prompt until listening starts again (see messages.js)
+let messageDisplays = {}; // Buffers for the prompt and label planes, by name ('prompt', 'label', 'prompt-1'...)
+let lastFeedback = null; // Text of the last feedback message, for "repeat"
+let heardTranscript = null; // What the recognizer heard last, shown under the result
+
+let interaction;          // Interaction state machine (see interaction.js)
+let mouthThresholds;      // Open/close ratios of lip gap to face width, calibrated or default (see mouth.js)
+let defaultMouthThresholds; // What each visitor starts with: MOUTH_THRESHOLDS, or a replayed session's
+let viewerMouthThresholds = new Map(); // Viewer id -> their calibrated thresholds, for this visit only
+let mouthIsOpen = false;  // Mouth state after hysteresis
+let mouthCalibration = null; // Running calibration, null when none
+let calibrateEachVisitor = false; // ?calibrate=1: calibrate every visitor who takes control
+let calibrateOnFace = false; // Calibrate once the visitor in control is seen
+let gestureDetector;      // Nods, shakes, blinks, smiles... (see gestures.js)
+let viewingHistory;       // Flowers seen and favorites, in localStorage (see viewingHistory.js)
+let inputSource = 'picker'; // How the latest input came in: voice, typed, gesture, keyboard, touch, picker
+let browsing = null;      // Subset next / previous step through: { attribute: 'favorites' } or
+                          // { attribute: 'colors', value: 'blue' }..., null for all flowers
+let infoCards = {};       // Info card cycling on each label plane, by display name (see infoCard.js)
+let eventLog;             // What visitors did, in localStorage for operators (see eventLog.js)
+let kiosk = null;         // ?kiosk=1: attract loop, idle reset, watchdog, scheduled reload (see kiosk.js)
+let listenPausedUntil = 0; // millis() until open mouth no longer starts listening ("stop listening")
 
-let mouthOpen = false;
-let mouthClose = false;
-let mouthOpenTime = 0;
-let mouthCloseTime = 0;
-let velocityYTime = 0;
+const LISTEN_PAUSE_MS = 30000;      // How long "stop listening" lasts
+// UI strings per subset being browsed (see locales.js)
+const BROWSING_MESSAGES = {
+  favorites: { showing: 'showingFavorite', none: 'favoritesEmpty' },
+  colors: { showing: 'showingColor', none: 'noColor' },
+  seasons: { showing: 'showingSeason', none: 'noSeason' },
+  origins: { showing: 'showingOrigin', none: 'noOrigin' }
+};
+const FLOWER_HISTORY_LENGTH = 20;   // How many flowers "go back" remembers
+let flowerHistory = [];             // Previously shown flower indices, most recent last
 
 let myRec; // Speech recognition object
+let recognizerActive = false; // The recognizer has started and not ended yet
+let speechSupported = Boolean(window.SpeechRecognition || window.webkitSpeechRecognition);
+// Message per input and failure reason (see inputStatus.js); "other" for the rest
+const INPUT_FAILURE_MESSAGES = {
+  camera: { denied: 'cameraDenied', 'not-found': 'noCamera', unsupported: 'noCamera', other: 'cameraFailed' },
+  faceModel: { other: 'faceModelFailed' },
+  speech: { denied: 'microphoneDenied', 'not-found': 'noMicrophone', network: 'speechOffline', other: 'noSpeech' }
+};
+let suggestedIndex = -1; // Flower offered in "Did you mean X?", -1 when none
 
-function preload() {
-  crtTVModel = loadModel('kurty.obj', true);
-  
-  // Load array of flower images with corresponding names and synonyms
-  crtTVImages.push(loadImage('daffodil.jpg'));
-  crtTVImagesR.push(loadImage('daffodilr.jpg'));
-  crtTVImagesG.push(loadImage('daffodilg.jpg'));
-  crtTVImagesB.push(loadImage('daffodilb.jpg'));
-  crtTVNames.push(['daffodil', 'narcissus', 'jonquil']);
-  
-  crtTVImages.push(loadImage('daisy.jpg'));
-  crtTVImagesR.push(loadImage('daisyr.png'));
-  crtTVImagesG.push(loadImage('daisyg.png'));
-  crtTVImagesB.push(loadImage('daisyb.png'));
-  crtTVNames.push(['daisy', 'ox-eye', 'bellis']);
-  
-  crtTVImages.push(loadImage('forgetmenot.jpg'));
-  crtTVImagesR.push(loadImage('forgetmenotr.jpg'));
-  crtTVImagesG.push(loadImage('forgetmenotg.jpg'));
-  crtTVImagesB.push(loadImage('forgetmenotb.jpg'));
-  crtTVNames.push(['forget me not', 'myosotis', 'mouse ear']);
-  
-  crtTVImages.push(loadImage('hibiscus.jpg'));
-  crtTVImagesR.push(loadImage('hibiscusr.jpg'));
-  crtTVImagesG.push(loadImage('hibiscusg.jpg'));
-  crtTVImagesB.push(loadImage('hibiscusb.jpg'));
-  crtTVNames.push(['hibiscus', 'rose of sharon', 'rosemallow']);
-  
-  crtTVImages.push(loadImage('iris.jpg'));
-  crtTVImagesR.push(loadImage('irisr.jpg'));
-  crtTVImagesG.push(loadImage('irisg.jpg'));
-  crtTVImagesB.push(loadImage('irisb.jpg'));
-  crtTVNames.push(['iris', 'flag iris', 'sword lily']);
-  
-  crtTVImages.push(loadImage('jasmine.jpg'));
-  crtTVImagesR.push(loadImage('jasminer.jpg'));
-  crtTVImagesG.push(loadImage('jasmineg.jpg'));
-  crtTVImagesB.push(loadImage('jasmineb.jpg'));
-  crtTVNames.push(['jasmine', 'jessamine', 'carolina jasmine']);
-  
-  crtTVImages.push(loadImage('lavander.jpg'));
-  crtTVImagesR.push(loadImage('lavanderr.jpg'));
-  crtTVImagesG.push(loadImage('lavanderg.jpg'));
-  crtTVImagesB.push(loadImage('lavanderb.jpg'));
-  crtTVNames.push(['lavender', 'lavandula', 'purple sage']);
-  
-  crtTVImages.push(loadImage('lilyofthevalley.jpg'));
-  crtTVImagesR.push(loadImage('lilyofthevalleyr.jpg'));
-  crtTVImagesG.push(loadImage('lilyofthevalleyg.jpg'));
-  crtTVImagesB.push(loadImage('lilyofthevalleyb.jpg'));
-  crtTVNames.push(['lily of the valley', 'convallaria', 'may lily']);
-  
-  crtTVImages.push(loadImage('lotus.jpg'));
-  crtTVImagesR.push(loadImage('lotusr.jpg'));
-  crtTVImagesG.push(loadImage('lotusg.jpg'));
-  crtTVImagesB.push(loadImage('lotusb.jpg'));
-  crtTVNames.push(['lotus', 'water lily', 'sacred lotus']);
-  
-  crtTVImages.push(loadImage('morningglory.jpg'));
-  crtTVImagesR.push(loadImage('morninggloryr.jpg'));
-  crtTVImagesG.push(loadImage('morninggloryg.jpg'));
-  crtTVImagesB.push(loadImage('morninggloryb.jpg'));
-  crtTVNames.push(['morning glory', 'ipomoea', 'bindweed']);
-  
-  crtTVImages.push(loadImage('orchid.jpg'));
-  crtTVImagesR.push(loadImage('orchidr.jpg'));
-  crtTVImagesG.push(loadImage('orchidg.jpg'));
-  crtTVImagesB.push(loadImage('orchidb.jpg'));
-  crtTVNames.push(['orchid', 'orchidaceae', 'phalaenopsis']);
-  
-  crtTVImages.push(loadImage('peony.jpg'));
-  crtTVImagesR.push(loadImage('peonyr.jpg'));
-  crtTVImagesG.push(loadImage('peonyg.jpg'));
-  crtTVImagesB.push(loadImage('peonyb.jpg'));
-  crtTVNames.push(['peony', 'paeonia', 'pioney']);
-  
-  crtTVImages.push(loadImage('poppy.jpg'));
-  crtTVImagesR.push(loadImage('poppyr.jpg'));
-  crtTVImagesG.push(loadImage('poppyg.jpg'));
-  crtTVImagesB.push(loadImage('poppyb.jpg'));
-  crtTVNames.push(['poppy', 'papaver', 'corn poppy']);
-  
-  crtTVImages.push(loadImage('rose.jpg'));
-  crtTVImagesR.push(loadImage('roser.jpg'));
-  crtTVImagesG.push(loadImage('roseg.jpg'));
-  crtTVImagesB.push(loadImage('roseb.jpg'));
-  crtTVNames.push(['rose', 'rosa', 'queen of flowers']);
-  
-  crtTVImages.push(loadImage('sunflower.jpg'));
-  crtTVImagesR.push(loadImage('sunflowerr.jpg'));
-  crtTVImagesG.push(loadImage('sunflowerg.jpg'));
-  crtTVImagesB.push(loadImage('sunflowerb.jpg'));
-  crtTVNames.push(['sunflower', 'helianthus', 'sun disk']);
-  
-  crtTVImages.push(loadImage('tulip.jpg'));
-  crtTVImagesR.push(loadImage('tulipr.jpg'));
-  crtTVImagesG.push(loadImage('tulipg.jpg'));
-  crtTVImagesB.push(loadImage('tulipb.jpg'));
-  crtTVNames.push(['tulip', 'tulipa', 'lady tulip']);
-  
-  crtTVImages.push(loadImage('violet.jpg'));
-  crtTVImagesR.push(loadImage('violetr.jpg'));
-  crtTVImagesG.push(loadImage('violetg.jpg'));
-  crtTVImagesB.push(loadImage('violetb.jpg'));
-  crtTVNames.push(['violet', 'viola', 'sweet violet']);
-  
-  crtTVImages.push(loadImage('wisteria.jpg'));
-  crtTVImagesR.push(loadImage('wisteriar.jpg'));
-  crtTVImagesG.push(loadImage('wisteriag.jpg'));
-  crtTVImagesB.push(loadImage('wisteriab.jpg'));
-  crtTVNames.push(['wisteria', 'wistaria', 'glycine']);
-
-  pgOpen = createGraphics(400, 400); // 2D graphics buffer
-  pgOpen.textSize(16);
-  pgOpen.fill(0x56, 0x36, 0x5C); // Lilac shadow
-  pgOpen.textAlign(CENTER, CENTER);
-  pgOpen.text("Listening! Tell me\na flower you want to see.", pgOpen.width / 2, pgOpen.height / 2);
-
-  pgClosed = createGraphics(400, 400); // 2D graphics buffer
-  pgClosed.textSize(16);
-  pgClosed.fill(0x56, 0x36, 0x5C); // Lilac shadow
-  pgClosed.textAlign(CENTER, CENTER);
-  pgClosed.text("Open mouth to\nactivate voice recognition.", pgClosed.width / 2, pgClosed.height / 2);
-
-  // New graphics for status texts
-  pgStarting = createGraphics(400, 400);
-  pgStarting.textSize(26);
-  pgStarting.fill(0x56, 0x36, 0x5C);
-  pgStarting.textAlign(CENTER, CENTER);
-  pgStarting.text("Starting camera...", pgStarting.width / 2, pgStarting.height / 2);
-
-  pgShowFace = createGraphics(400, 400);
-  pgShowFace.textSize(26);
-  pgShowFace.fill(0x56, 0x36, 0x5C);
-  pgShowFace.textAlign(CENTER, CENTER);
-  pgShowFace.text("Show your face\nto start tracking.", pgShowFace.width / 2, pgShowFace.height / 2);
-
-  pgMissHear = createGraphics(400, 400);
-  pgMissHear.textSize(16);
-  pgMissHear.fill(0x56, 0x36, 0x5C);
-  pgMissHear.textAlign(CENTER, CENTER);
-  pgMissHear.text("Did not catch that.\nShowing a random flower.", pgMissHear.width / 2, pgMissHear.height / 2);
-
-  // Create array of graphics for each flower
-  for (let i = 0; i < crtTVNames.length; i++) {
-    let pg = createGraphics(400, 400);
-    pg.textSize(22);
-    pg.fill(0x56, 0x36, 0x5C);
-    pg.textAlign(CENTER, CENTER);
-    let flowerName = crtTVNames[i][0]; // First element of each flower entry
-    pg.text("Showing you\n" + flowerName + ".", pg.width / 2, pg.height / 2);
-    crtTVGraphics.push(pg);
-  }
+// ==============================================
+// LOCALE - Switch UI, names and recognizer language
+// ==============================================
+function setLocale(code) {
+  if (!LOCALES[code]) return;
+  currentLocale = code;
+  localizeCatalog();
+  if (myRec && myRec.rec) myRec.rec.lang = getLocale().speechLang;
+  applyNarratorVoice();
+  updateFlowerPicker();
+  updateRetryButton();
+  console.log(`Locale: ${code} (${getLocale().speechLang})`);
 }
 
 // ==============================================
 // SETUP - Runs once when page loads
 // ==============================================
 function setup() {
-  // Create portrait canvas (typical phone proportions: 9:16)
-  createCanvas(405, 720, WEBGL);
+  // Fill the window; portrait on phones, landscape on wider screens (see layout.js)
+  layout = computeLayout(windowWidth, windowHeight);
+  pixelDensity(canvasDensity());
+  createCanvas(layout.width, layout.height, WEBGL);
   lockGestures();  // Prevent phone gestures (zoom, refresh)
   
-  // Create camera: front camera, mirrored, fit to canvas height
-  cam = createPhoneCamera('user', true, 'fitHeight');
+  // Flowers seen and favorites from earlier visits; recorded and replayed
+  // sessions keep theirs in memory so they always start the same, and so
+  // does a kiosk, where the next visitor must not see a stranger's favorites
+  let keepViewing = sessionMode.mode === 'live' && !kioskSettings.enabled;
+  viewingHistory = createViewingHistory(keepViewing ? {} : { storage: null });
+
+  // Event log for operators, kept across reloads also in a kiosk; O opens the operator screen
+  eventLog = createEventLog(sessionMode.mode === 'live' ? {} : { storage: null });
+  window.addEventListener('pagehide', () => eventLog.flush());
+  window.addEventListener('error', (event) => logEvent('error', { source: 'script', message: event.message }));
+  createOperatorScreen();
+  if (new URLSearchParams(window.location.search).has('operator')) toggleOperatorScreen();
+
+  // Load flower images, names and labels from the manifest, then the
+  // on-screen picker that lists them (see manualControls.js), and continue
+  // with the flower from the last visit (a kiosk starts every visit fresh)
+  loadCatalog('flowers.json', () => {
+    catalogErrors.forEach(message => logEvent('error', { source: 'catalog', message: message }));
+    createFlowerPicker();
+    if (!kioskSettings.enabled) restoreViewing();
+  });
+
+  // The TV, its materials and where its screen is (see tvModel.js)
+  loadTVModel(TV_MODEL_SETTINGS.path, (model) => {
+    model.errors.forEach(message => logEvent('error', { source: 'tv-model', message: message }));
+    tvModel = model;
+  });
   
-  // Enable camera tap to toggle video
-  enableCameraTap();
+  // Smooth keypoint jitter; eyelids react faster so blinks are not smoothed away
+  keypointSmoother = createKeypointSmoother({
+    settings: readSmoothingSettings(),
+    overrides: {
+      [GESTURE_POINTS.leftEyeTop]: { minCutoff: 5 },
+      [GESTURE_POINTS.leftEyeBottom]: { minCutoff: 5 },
+      [GESTURE_POINTS.rightEyeTop]: { minCutoff: 5 },
+      [GESTURE_POINTS.rightEyeBottom]: { minCutoff: 5 }
+    }
+  });
   
-  // Wait for camera to initialize, then create model and start detection
-  cam.onReady(() => {
-    // Configure ML5 FaceMesh AFTER camera is ready
-    let options = {
-      maxFaces: 1,           // Only detect 1 face
-      refineLandmarks: false,// Skip detailed landmarks (faster)
-      runtime: 'mediapipe',  // Use MediaPipe runtime
-      flipHorizontal: false  // Don't flip in ML5 - cam.mapKeypoint() handles mirroring
-    };
-    
-    // Create FaceMesh model and start detection when ready
-    faceMesh = ml5.faceMesh(options, () => {
-      faceMesh.detectStart(cam.videoElement, gotFaces);
+  // Head angles turn the TV; head position moves the camera (see headPose.js)
+  headPoseEasing = createHeadPoseEasing();
+
+  // Old TV look for the screen, stronger while listening (see crtShader.js)
+  if (crtSettings.enabled) crtShader = createShader(CRT_VERTEX_SHADER, CRT_FRAGMENT_SHADER);
+  crtEffect = createCrtEffect({ clock: () => millis() });
+
+  // Static, roll, power cycle or crossfade when the flower changes (see channelChange.js)
+  channelChanger = createChannelChanger({ clock: () => millis() });
+
+  // Prompts and toasts, drawn when shown (see messages.js)
+  messageQueue = createMessageQueue({ clock: () => millis() });
+
+  // Which inputs work; failures are explained on screen with a retry (see inputStatus.js)
+  inputStatus = createInputStatus({ clock: () => millis(), hooks: { change: onInputStatusChange } });
+
+  // Unattended installations look after themselves (see kiosk.js)
+  if (kioskSettings.enabled) {
+    kiosk = createKioskController({
+      clock: () => millis(),
+      settings: kioskSettings,
+      hooks: {
+        attractStep: showAttractFlower,
+        resetVisit: resetVisit,
+        restartFaceDetection: restartFaceDetection,
+        restartSpeech: restartRecognizer,
+        reload: () => {
+          console.log('Kiosk: scheduled reload');
+          eventLog.flush();
+          window.location.reload();
+        }
+      }
     });
+  }
+
+  // Several visitors at once; one of them is in control (see viewers.js)
+  viewerTracker = createViewerTracker({ clock: () => millis(), settings: viewerSettings });
+  
+  // A recorded session stands in for the camera and the recognizer (see sessionReplay.js)
+  if (replayActive) {
+    startReplay();
+  } else {
+    setupCameraAndSpeech();
+  }
+
+  // Spoken announcements of the selected flower (see narrator.js)
+  setupNarrator();
+
+  // Listening, results and nods (see interaction.js)
+  setupInteraction();
+
+  // Gestures with the default bindings until gestures.json is in
+  gestureDetector = createGestureDetector({ clock: () => millis() });
+  loadGestureBindings('gestures.json', () => {
+    gestureDetector = createGestureDetector({ clock: () => millis(), settings: gestureSettings });
   });
 
+  // Default mouth thresholds until a visitor is calibrated
+  defaultMouthThresholds = { ...MOUTH_THRESHOLDS };
+  mouthThresholds = defaultMouthThresholds;
+  calibrateEachVisitor = new URLSearchParams(window.location.search).has('calibrate');
+
+  // ?record=1: keep what the camera and recognizer deliver, press R to save
+  if (sessionMode.mode === 'record') {
+    let seed = floor(random(1e9));
+    randomSeed(seed);
+    startRecording({ keypoints: trackedKeypoints(), seed: seed, mouthThresholds: mouthThresholds });
+  }
+}
+
+// ==============================================
+// SETUP - Live camera, FaceMesh and speech recognition
+// ==============================================
+function setupCameraAndSpeech() {
+  startCamera();
+  
+  // Enable camera tap to toggle video
+  enableCameraTap();
       
   // Enable speech recognition permission
   // This activates the audio context without creating p5.AudioIn
   enableSpeechTap('Tap to enable speech recognition');
+  startSpeech();
+
+  // p5-phone does not report camera errors; getUserMedia's rejection ends up here
+  window.addEventListener('unhandledrejection', (event) => {
+    let reason = cameraErrorReason(event.reason);
+    if (reason && inputStatus.status('camera').state === 'starting') {
+      inputStatus.fail('camera', reason, event.reason.message);
+    }
+  });
+  createRetryButton();
+}
+
+// Create camera: front camera, mirrored, fit to canvas height
+function startCamera() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    inputStatus.fail('camera', 'unsupported'); // Old browser, or not served over https
+    return;
+  }
+  inputStatus.start('camera');
+  stopCamera();
+  let camera = createPhoneCamera('user', true, LAYOUT_SETTINGS.cameraMode);
+  cam = camera;
+  
+  // Wait for camera to initialize, then create model and start detection
+  camera.onReady(() => {
+    if (camera !== cam) return; // An earlier attempt that started after all
+    recordEvent('camera-ready');
+    inputStatus.ready('camera');
+    startFaceModel();
+  });
+  checkCameraAccess();
+}
+
+// Releases the previous attempt's camera before a retry opens a new one, so
+// the old stream does not keep the webcam busy and its video element goes away
+function stopCamera() {
+  if (!cam) return;
+  if (faceMesh) faceMesh.detectStop(); // Detection runs on the old video element
+  let video = cam.videoElement;
+  if (video) {
+    if (video.srcObject) video.srcObject.getTracks().forEach(track => track.stop());
+    video.srcObject = null;
+    video.remove();
+  }
+  cam = null;
+}
+
+// Refused permission or no camera at all: say so now instead of after the timeout
+function checkCameraAccess() {
+  let stillStarting = () => inputStatus.status('camera').state === 'starting';
+  if (navigator.permissions) {
+    navigator.permissions.query({ name: 'camera' }).then((permission) => {
+      if (permission.state === 'denied' && stillStarting()) inputStatus.fail('camera', 'denied');
+      // Allowed later in the browser's site settings: try again by itself
+      permission.onchange = () => {
+        if (permission.state === 'granted' && inputStatus.failed('camera')) startCamera();
+      };
+    }).catch(() => {}); // Not every browser knows the camera permission
+  }
+  if (navigator.mediaDevices.enumerateDevices) {
+    navigator.mediaDevices.enumerateDevices().then((devices) => {
+      if (!devices.some(device => device.kind === 'videoinput') && stillStarting()) inputStatus.fail('camera', 'not-found');
+    }).catch(() => {});
+  }
+}
 
-  // Initialize speech recognition
-  myRec = new p5.SpeechRec('en-US');
+// Configure ML5 FaceMesh AFTER camera is ready
+function startFaceModel() {
+  if (typeof ml5 === 'undefined') {
+    inputStatus.fail('faceModel', 'unsupported', 'ml5.js did not load');
+    return;
+  }
+  inputStatus.start('faceModel');
+  let options = {
+    maxFaces: viewerSettings.maxFaces, // Several visitors; viewers.js picks who is in control
+    refineLandmarks: false,// Skip detailed landmarks (faster)
+    runtime: 'mediapipe',  // Use MediaPipe runtime
+    flipHorizontal: false  // Don't flip in ML5 - cam.mapKeypoint() handles mirroring
+  };
+  // The model files from vendor/ once they are there, else from ml5's CDN (see offline.js)
+  if (faceMeshSolutionPath()) options.solutionPath = faceMeshSolutionPath();
+  
+  // Create FaceMesh model and start detection when ready; a model that
+  // never loads fails after INPUT_STATUS_SETTINGS.modelLoadMs
+  try {
+    let model = ml5.faceMesh(options, () => {
+      if (model !== faceMesh) return; // An earlier attempt that loaded after all
+      inputStatus.ready('faceModel');
+      model.detectStart(cam.videoElement, gotFaces);
+    });
+    faceMesh = model;
+  } catch (error) {
+    inputStatus.fail('faceModel', 'error', error.message);
+  }
+}
+
+// Initialize speech recognition; without it, typed names and the picker still work
+function startSpeech() {
+  if (!speechSupported || !p5.SpeechRec) {
+    inputStatus.fail('speech', 'unsupported');
+    console.log('⚠️ Speech recognition not supported, use typed names or the flower picker');
+    return;
+  }
+  dropRecognizer();
+  try {
+    setupRecognizer();
+    inputStatus.ready('speech');
+    console.log('✅ Speech recognition ready');
+  } catch (error) {
+    inputStatus.fail('speech', 'error', error.message);
+  }
+}
+
+// A new recognizer in the current language; also when the kiosk watchdog restarts it
+function setupRecognizer() {
+  myRec = new p5.SpeechRec(getLocale().speechLang);
   myRec.continuous = false; // do not listening continuously
   myRec.interimResults = false;
+  if (myRec.rec) myRec.rec.maxAlternatives = 5; // More guesses for the name matcher
+  myRec.onStart = () => { recognizerActive = true; };
   myRec.onResult = showResult;
-  //myRec.onEnd = function() {
-  //  console.log("Recognition ended");
-  //};
-  console.log('✅ Speech recognition ready');
+  // Ended without a result (silence); after a result the state has already moved on
+  myRec.onEnd = () => {
+    recognizerActive = false;
+    recordEvent('speech-end');
+    interaction.dispatch('speech-end');
+  };
+  // Refused microphone, no network...: speech counts as failed until a retry;
+  // "no-speech" only ends this attempt
+  myRec.onError = (error) => {
+    let code = error.error || String(error);
+    let reason = speechErrorReason(code);
+    if (reason) inputStatus.fail('speech', reason, code);
+    else logEvent('error', { source: 'speech', message: code });
+    if (kiosk) kiosk.speechResult(false);
+  };
+}
+
+// The old recognizer must not end the current listening when it is aborted
+function dropRecognizer() {
+  if (!myRec) return;
+  let old = myRec;
+  old.onStart = old.onResult = old.onEnd = old.onError = undefined;
+  try {
+    old.rec.abort();
+  } catch (error) {
+    // Already stopped
+  }
+  myRec = null;
+  recognizerActive = false;
+}
+
+// ==============================================
+// SETUP - Replay a recorded session instead
+// ==============================================
+function startReplay() {
+  loadReplay(sessionMode.path, {
+    loaded: (session) => {
+      if (session.locale) setLocale(session.locale);
+      if (session.mouthThresholds) defaultMouthThresholds = mouthThresholds = session.mouthThresholds;
+      randomSeed(session.seed);
+    },
+    cameraReady: () => {
+      replayCameraReady = true;
+    },
+    faces: gotFaces,
+    speech: receiveSpeech,
+    speechEnd: () => interaction.dispatch('speech-end')
+  });
+}
+
+// Every keypoint the measurements and gestures use, for recordings
+function trackedKeypoints() {
+  return [facePointIndex1, facePointIndex2, facePointIndex3, facePointIndex4, facePointIndex5,
+          ...Object.values(GESTURE_POINTS), HEAD_POSE_POINTS.top, HEAD_POSE_POINTS.chin];
+}
+
+// Without the face model the camera is of no use either
+function isCameraReady() {
+  if (replayActive) return replayCameraReady;
+  return Boolean(cam && cam.ready) && !inputStatus.failed('faceModel');
 }
 
 // ==============================================
@@ -313,29 +565,40 @@ function setup() {
 function draw() {
   background(255);
   
+  // Recorded faces and speech that are due (see sessionReplay.js)
+  updateReplay();
+  
   // Display the video feed
-  if (showVideo && cam.ready) {
+  if (showVideo && cam && cam.ready) {
     image(cam, 0, 0);  // PhoneCamera handles positioning and mirroring
   }
   
   // Update global point data and measure between the specified points
-  if (faces.length > 0) {
-    // Update global variables with current point data (index, face number)
-    facePointData1 = getKeypoint(facePointIndex1, 0);
-    facePointData2 = getKeypoint(facePointIndex2, 0);
-    facePointData3 = getKeypoint(facePointIndex3, 0);
-    facePointData4 = getKeypoint(facePointIndex4, 0);
-    
-    // Store previous nose position for velocity calculation
-    facePointData5Prev = facePointData5;
-    facePointData5 = getKeypoint(facePointIndex5, 0);
+  if (activeFace >= 0) {
+    // Update global variables with current point data (index, face number of the visitor in control)
+    facePointData1 = getKeypoint(facePointIndex1, activeFace);
+    facePointData2 = getKeypoint(facePointIndex2, activeFace);
+    facePointData3 = getKeypoint(facePointIndex3, activeFace);
+    facePointData4 = getKeypoint(facePointIndex4, activeFace);
     
     // Calculate global measurements
     distance1_2 = measureDistance(facePointData1, facePointData2);
     angle1_2 = measureAngle(facePointData1, facePointData2);
     distance3_4 = measureDistance(facePointData3, facePointData4);
     angle3_4 = measureAngle(facePointData3, facePointData4);
-    velocity5 = measureVelocity(facePointData5, facePointData5Prev);
+    
+    // Nose velocity over the time between two detections, not per frame,
+    // so it is the same at any frame rate
+    if (facesTime !== facePointTime5) {
+      facePointData5Prev = facePointData5;
+      facePointData5 = getKeypoint(facePointIndex5, activeFace);
+      velocity5 = measureVelocity(facePointData5, facePointData5Prev, facesTime - facePointTime5);
+      facePointTime5 = facesTime;
+    }
+    showVelocity(facePointData5, velocity5);
+    
+    // Yaw, pitch, roll and position of the head, including depth
+    headPose = headPoseEasing.update(measureHeadPose(activeFace), millis());
     
     // Eyes: Check if both points are valid and display
     if (facePointData1 && facePointData2) {
@@ -356,9 +619,18 @@ function draw() {
       // Show the nose point in yellow
       //showPoint(facePointData5, color(255, 255, 0));  // Yellow
     }
+  } else {
+    // Nobody in view: the next face starts fresh, without old positions
+    if (faces.length === 0) keypointSmoother.reset();
+    facePointData5 = null;
+    velocity5 = { x: 0, y: 0, speed: 0 };
+    headPose = headPoseEasing.update(null, millis());
   }
   
-  // Draw UI
+  // Feed the interaction state machine, then draw what it decided
+  inputStatus.update();
+  updateInteraction();
+  updateKiosk();
   drawUI();
 }
 
@@ -367,14 +639,102 @@ function draw() {
 // ==============================================
 function gotFaces(results) {
   faces = results || [];
+  facesTime = millis();
+  recordFaces(faces, mapKeypoint);
+  updateViewers();
+}
+
+// ==============================================
+// VIEWERS - Who is in control (see viewers.js)
+// ==============================================
+function updateViewers() {
+  // No handover while the visitor in control is talking or seeing their result
+  let locked = ['listening', 'recognized', 'missed'].includes(interaction.state);
+  let result = viewerTracker.update(faces.map(summarizeFace), { locked: locked });
+  viewers = result.viewers;
+
+  for (let id of result.removed) {
+    keypointSmoother.forget(id);
+    viewerChannels.delete(id);
+    viewerMouthThresholds.delete(id);
+  }
+  if (viewerSettings.split) {
+    // Newcomers start on the flower after the one in control, so the TVs differ
+    for (let viewer of viewers) {
+      if (viewerChannels.has(viewer.id)) continue;
+      let count = crtTVImages.length;
+      viewerChannels.set(viewer.id, count > 0 ? (crtTVIndex + viewerChannels.size) % count : crtTVIndex);
+    }
+  }
+
+  let nextId = result.active ? result.active.id : null;
+  if (result.changed) handOver(activeViewerId, nextId);
+  activeViewerId = nextId;
+  activeFace = result.active ? result.active.faceIndex : -1;
+}
+
+// Position, size and open mouth of one detected face, unsmoothed
+function summarizeFace(face) {
+  let point = index => (face.keypoints && face.keypoints[index] ? mapKeypoint(face.keypoints[index]) : null);
+  let left = point(facePointIndex1);
+  let right = point(facePointIndex2);
+  let upper = point(facePointIndex3);
+  let lower = point(facePointIndex4);
+  if (!left || !right) return { center: { x: 0, y: 0 }, width: 0, mouthOpen: false };
+
+  let width = dist(left.x, left.y, right.x, right.y);
+  let gap = upper && lower ? dist(upper.x, upper.y, lower.x, lower.y) : 0;
+  return {
+    center: { x: (left.x + right.x) / 2, y: (left.y + right.y) / 2 },
+    width: width,
+    mouthOpen: mouthOpenness(gap, width) > mouthThresholds.open
+  };
+}
+
+// Someone else is in control: forget the last visitor's movement and mouth
+function handOver(fromId, toId) {
+  console.log(toId === null ? 'Nobody in control' : `Viewer ${toId} in control`);
+  if (fromId !== null) logEvent('face-lost', { viewer: fromId });
+  if (toId !== null) logEvent('face-acquired', { viewer: toId });
+  gestureDetector.reset();
+  facePointData5 = null;
+  velocity5 = { x: 0, y: 0, speed: 0 };
+  mouthIsOpen = false;
+
+  // Each visitor has their own mouth: their calibration, else the defaults and a new one
+  mouthCalibration = null;
+  mouthThresholds = viewerMouthThresholds.get(toId) || defaultMouthThresholds;
+  calibrateOnFace = toId !== null && calibrateEachVisitor && !viewerMouthThresholds.has(toId);
+
+  // Split mode: the flower commands now change the new visitor's TV
+  if (viewerSettings.split && toId !== null) {
+    if (viewerChannels.has(fromId)) viewerChannels.set(fromId, crtTVIndex);
+    crtTVIndex = viewerChannels.get(toId);
+    channelChanger.reset(); // The new visitor's TV was showing their flower all along
+  }
+}
+
+// Split mode: visitors with a TV, left to right; the one in control always has one
+function splitViewers() {
+  if (!viewerSettings.split) return [];
+  let present = viewers.filter(viewer => viewer.present);
+  present.sort((a, b) => (b.id === activeViewerId) - (a.id === activeViewerId) || a.firstSeen - b.firstSeen);
+  return present.slice(0, viewerSettings.splitViewers).sort((a, b) => a.center.x - b.center.x);
+}
+
+// Viewer id of a face, the smoothing key that follows a visitor from detection to detection
+function viewerIdForFace(faceNumber) {
+  let viewer = viewers.find(viewer => viewer.faceIndex === faceNumber);
+  return viewer ? viewer.id : `face${faceNumber}`;
 }
 
 // ==============================================
 // HELPER - Get keypoint with mapped coordinates
 // ==============================================
-// Function to get a specific keypoint with coordinate mapping
-function getKeypoint(index, faceNumber = 0) {
-  if (!faces || faces.length <= faceNumber) return null;
+// Function to get a specific keypoint with coordinate mapping, smoothed over time
+// (faceNumber defaults to the visitor in control)
+function getKeypoint(index, faceNumber = activeFace) {
+  if (!faces || faceNumber < 0 || faces.length <= faceNumber) return null;
   
   const face = faces[faceNumber];
   if (!face || !face.keypoints) return null;
@@ -382,8 +742,32 @@ function getKeypoint(index, faceNumber = 0) {
   const point = face.keypoints[index];
   if (!point) return null;
   
-  // Map the keypoint using PhoneCamera for coordinate transformation
-  return cam.mapKeypoint(point);
+  // Map the keypoint, then filter out the frame-to-frame jitter
+  return keypointSmoother.smooth(mapKeypoint(point), index, facesTime, viewerIdForFace(faceNumber));
+}
+
+// PhoneCamera coordinate transformation to layout units (see layout.js);
+// replayed points are already mapped.
+// Depth (z) is scaled like x and y, so head angles can mix them
+function mapKeypoint(point) {
+  if (replayActive) return point;
+  let mapped = cam.mapKeypoint(point);
+  let origin = cam.mapKeypoint({ x: 0, y: 0 });
+  let unit = cam.mapKeypoint({ x: 0, y: 1 });
+  let z = (point.z || 0) * Math.abs(unit.y - origin.y) / layout.scale;
+  return { ...toLayoutPoint(mapped, layout), z: z };
+}
+
+// Head angles and position of a tracked face (see headPose.js), null when unknown
+function measureHeadPose(faceNumber) {
+  let points = {};
+  for (let [name, index] of Object.entries(HEAD_POSE_POINTS)) {
+    points[name] = getKeypoint(index, faceNumber);
+  }
+  let pose = estimateHeadPose(points);
+  if (!pose) return null;
+  let center = { x: (points.right.x + points.left.x) / 2, y: (points.right.y + points.left.y) / 2 };
+  return { ...pose, ...headPosition(center, layout.design.width, layout.design.height) };
 }
 
 // ==============================================
@@ -485,26 +869,34 @@ function measureAngle(basePoint, endPoint) {
 // ==============================================
 // MEASURE - Velocity in x and y directions
 // ==============================================
-function measureVelocity(currentPoint, previousPoint) {
-  // Return zero velocity if either point is missing
-  if (!currentPoint || !previousPoint) {
+function measureVelocity(currentPoint, previousPoint, elapsedMs) {
+  // Return zero velocity if either point is missing or no time has passed
+  if (!currentPoint || !previousPoint || !(elapsedMs > 0)) {
     return { x: 0, y: 0, speed: 0 };
   }
   
-  // Calculate velocity components
-  const vx = currentPoint.x - previousPoint.x;
-  const vy = currentPoint.y - previousPoint.y;
+  // Calculate velocity components in pixels per second
+  const seconds = elapsedMs / 1000;
+  const vx = (currentPoint.x - previousPoint.x) / seconds;
+  const vy = (currentPoint.y - previousPoint.y) / seconds;
   const speed = Math.sqrt(vx * vx + vy * vy);
   
+  return { x: vx, y: vy, speed: speed };
+}
+
+// The arrow and text between detections too, from the last measurement
+function showVelocity(currentPoint, velocity) {
   // Draw visualization only if showData is true
-  if (showData) {
+  if (showData && currentPoint) {
+    const { x: vx, y: vy, speed } = velocity;
+    
     // Draw velocity vector from current point
-    if (speed > 1) { // Only draw if there's noticeable movement
+    if (speed > 60) { // Only draw if there's noticeable movement (about a pixel per frame)
       stroke(255, 255, 0);
       strokeWeight(3);
       
-      // Draw velocity arrow (scaled for visibility)
-      const scale = 2;
+      // Draw velocity arrow (scaled for visibility: where the point is in 1/30 s)
+      const scale = 1 / 30;
       const endX = currentPoint.x + vx * scale;
       const endY = currentPoint.y + vy * scale;
       
@@ -526,11 +918,9 @@ function measureVelocity(currentPoint, previousPoint) {
     fill(255, 255, 0);
     textAlign(CENTER, BOTTOM);
     textSize(12);
-    text(`vx: ${vx.toFixed(1)} vy: ${vy.toFixed(1)} speed: ${speed.toFixed(1)}`, 
+    text(`vx: ${vx.toFixed(0)} vy: ${vy.toFixed(0)} speed: ${speed.toFixed(0)} px/s`, 
          currentPoint.x, currentPoint.y - 20);
   }
-  
-  return { x: vx, y: vy, speed: speed };
 }
 
 // ==============================================
@@ -548,207 +938,920 @@ function isValidPoint(point) {
 function drawUI() {
   background(153, 252, 146);
 
+  // Show status at top of screen; the TV only once a face is in view
+  let state = interaction.state;
+  let pg = messageDisplay('prompt').update(promptForState(state));
+  let attracting = kiosk && kiosk.attracting && state === 'no-face';
+  let hidden = !catalogReady || !tvModel || state === 'no-camera' || (state === 'no-face' && !attracting);
+  crtParams = crtEffect.update(attracting ? 'attract' : state);
+
   push();
   
-  // Show status at top of screen
-  if (!cam.ready) {
-    pg = pgStarting;
-    rotateZ(PI);
-    rotateY(PI);
-  } else if (faces.length === 0) {
-    pg = pgShowFace;
-    rotateZ(PI);
-    rotateY(PI);
+  // Move the head to look around the TV, as through a window
+  let eye = parallaxCamera(headPose, height);
+  camera(eye.x * layout.scale, eye.y * layout.scale, eye.z, 0, 0, 0, 0, 1, 0);
+
+  // Layout units to pixels; the design area is centered in the canvas
+  scale(layout.scale);
+  if (!hidden) translate(layout.tv.x, layout.tv.y, 0);
+
+  // A channel change in progress, and the flower whose label shows meanwhile
+  let channel = hidden ? null : channelChanger.current();
+  let labelIndex = !channel ? crtTVIndex : channelEffect(channel).swapped ? channel.to : channel.from;
+
+  // Split mode: one smaller TV per visitor, side by side, each with their own flower
+  let split = hidden ? [] : splitViewers();
+  if (split.length > 1) {
+    split.forEach((viewer, i) => {
+      let inControl = viewer.id === activeViewerId;
+      let flowerIndex = inControl ? labelIndex : viewerChannels.get(viewer.id);
+      push();
+      translate((i - (split.length - 1) / 2) * layout.design.width / split.length, 0, 0);
+      scale(1 / split.length);
+      let prompt = inControl ? pg : messageDisplay(`prompt-${i}`).update(uiMessage('openMouth'));
+      drawTV(flowerIndex, inControl ? headPose : measureHeadPose(viewer.faceIndex) || headPose,
+             prompt, flowerLabel(flowerIndex, `label-${i}`), inControl ? channel : null);
+      pop();
+    });
   } else {
-    let nowTime = millis();
-    
-    if (distance3_4 > 3) {
-      if (!mouthOpen && (nowTime - mouthCloseTime) > 500) {
-        // Start speech recognition
-        myRec.start();
-        // Update graphic
-        pg = pgOpen;
-        // Update open mouth state only once
-        mouthOpen = true;
-        mouthOpenTime = nowTime;
-      }
-      if (mouthClose && (nowTime - mouthCloseTime) > 500) {
-        mouthClose = false;
-      }
-      //pg = pgOpen;
-    } else {
-      if (!mouthOpen && !mouthClose) {
-        // Update graphic
-        pg = pgClosed;
-      }
-      mouthClose = true;
-      mouthCloseTime = nowTime;
-      if (mouthOpen && (nowTime - mouthOpenTime) > 10000) {
-        // Stop speech recognition after 10 seconds of open mouth
-        myRec.stop();
-        // Update graphic
-        pg = pgMissHear;
-        // Update open mouth states
-        mouthOpen = false;
-
-        console.log("No flower name match found");
-        crtTVIndex = floor(random(crtTVImages.length));
-        console.log(`Displaying random flower at index: ${crtTVIndex}`);
-      }
-      //pg = pgClosed;
-    }
+    // Use the flower graphic as a label, or the catalog problems right after loading
+    let pgLabel = isCatalogReportVisible() ?
+      messageDisplay('label').update(catalogReportMessage()) : flowerLabel(labelIndex, 'label');
+    drawTV(hidden ? null : labelIndex, headPose, pg, pgLabel, channel);
+  }
+  
+  pop();
+  camera(); // Back to the default camera for the video and the measurements
+}
 
-    if (pg === pgShowFace || (pg === pgMissHear && (nowTime - mouthOpenTime) > 10000)) {
-      if (mouthOpen) {
-        pg = pgOpen;
-      } else {
-        pg = pgClosed;
-      }
-    }
+// One TV showing a flower (flowerIndex null: prompt only), turned like the head in pose, with its prompt and label;
+// channel: a running channel change from channelChanger.current(), which decides the picture instead
+function drawTV(flowerIndex, pose, pg, pgLabel, channel = null) {
+  let effect = channelEffect(channel);
 
-    if (!mouthOpen && abs(velocity5.y) > 10 && (nowTime - velocityYTime) > 500) {
-      velocityYTime = nowTime;
-      if (velocity5.y > 0) {
-        crtTVIndex = (crtTVIndex + 1) % crtTVImages.length;
-      } else {
-        crtTVIndex = (crtTVIndex - 1 + crtTVImages.length) % crtTVImages.length;
-      }
-    }
+  if (flowerIndex === null) {
+    rotateZ(PI);
+    rotateY(PI);
+  } else {
+    // Turn with the visitor's head (see headPose.js)
+    rotateY(pose.yaw * PI/180);
+    rotateX(pose.pitch * PI/180);
+    rotateZ(pose.roll * PI/180);
 
-    // Click and drag to look around the shape
-    orbitControl();
-   
-    // Convert polar coordinates to rotation angles
-    let rotY = PI/2 + (angle1_2 * PI/180);
+    // The model's own orientation, screen toward the visitor
+    let rotY = PI/2 + PI;
     let rotX = 0;
     let rotZ = PI;
 
-    // This adds color to the model according to the angle of the surface
-    normalMaterial();
+    // The cabinet with the materials from its MTL file (see tvModel.js)
     lights();
     noStroke();
-    specularMaterial(50);
-    shininess(100);
     rotateX(rotX);
     rotateY(rotY);
     rotateZ(rotZ);
     scale(1.7);
-    model(crtTVModel);
-
-    tint(255, 128); // 50% opacity
-    texture(crtTVImages[crtTVIndex]);
+    drawTVModel(tvModel);
 
-    rotateZ(-2 * PI / 180);
-    rotateY(PI / 2);
-    translate(0, 4, -63); // Position the sprite
-    plane(160, 130); // Width and height of the sprite
-
-    let offset = map(angle1_2, 130, 230, -10, 10);
-
-    // Draw second overlapping image with 50% opacity
-    push();
-    translate(offset, offset, 0); // Offset by 5 pixels in both directions
-    tint(255, 128); // 50% opacity
-    texture(crtTVImagesR[crtTVIndex]);
-    plane(160, 130); // Same dimensions as first plane
-    pop();
-
-    // Draw second overlapping image with 50% opacity
-    push();
-    translate(-offset, offset, 0); // Offset by 5 pixels in both directions
-    tint(255, 128); // 50% opacity
-    texture(crtTVImagesG[crtTVIndex]);
-    plane(160, 130); // Same dimensions as first plane
-    pop();
+    // The screen's own frame also places the prompt planes, so apply it even with no flowers
+    let hasFlowers = crtTVImages.length > 0;
+    let screen = tvModel.screen;
+    if (screen) {
+      let { right, down, out, origin, unit } = screen.frame;
+      applyMatrix(right[0] * unit, right[1] * unit, right[2] * unit, 0,
+                  down[0] * unit, down[1] * unit, down[2] * unit, 0,
+                  out[0] * unit, out[1] * unit, out[2] * unit, 0,
+                  origin[0], origin[1], origin[2], 1);
+    }
+    if (!hasFlowers && screen) {
+      applyTVMaterial(screen.material); // The dark glass
+      model(screen.geometry);
+    }
 
-    // Draw second overlapping image with 50% opacity
-    push();
-    translate(offset, -offset, 0); // Offset by 5 pixels in both directions
     tint(255, 128); // 50% opacity
-    texture(crtTVImagesB[crtTVIndex]);
-    plane(160, 130); // Same dimensions as first plane
-    pop();
+    if (hasFlowers) {
+      let newIndex = channel ? channel.to : flowerIndex;
+      let oldIndex = channel ? channel.from : flowerIndex;
+      // The shader needs the base images; without them the channel images still show the flower
+      if (crtShader && !crtTVMissingImages.has(newIndex) && !crtTVMissingImages.has(oldIndex)) {
+        drawCrtScreen(newIndex, oldIndex, pose, effect);
+      } else {
+        drawStackedScreen(effect.swapped ? newIndex : oldIndex, pose, effect);
+      }
+    }
   }
   
   // Instructions at bottom
   //textSize(14);
   //text('Tap screen to toggle video', width/2, height - 40);
 
-  texture(pg); // Use the 2D graphics as a texture
+  // Prompt and label beside the screen, where the layout puts them
   rotateX(PI);
-  translate(0, 150, 0); // Move the plane forward
-  plane(400, 400); // Draw a plane with the text texture
+  let tvShown = flowerIndex !== null;
+  drawPlane(pg, tvShown ? layout.prompt : layout.idlePrompt);
+  if (pgLabel) drawPlane(pgLabel, tvShown ? layout.label : layout.idleLabel, tvShown ? effect.label : null);
+}
 
-  texture(crtTVGraphics[crtTVIndex]); // Use the flower graphic as a texture
-  //rotateX(PI);
-  translate(0, -280, 0); // Move the plane backward
-  plane(400, 400); // Draw a plane with the flower graphic
-  
+// The flower through the CRT shader (see crtShader.js), split apart with the head position;
+// during a channel change the shader blends in the previous flower
+function drawCrtScreen(flowerIndex, previousIndex, pose, effect) {
+  push();
+  shader(crtShader);
+  crtShader.setUniform('uTexture', crtTVImages[flowerIndex]);
+  crtShader.setUniform('uPrevious', crtTVImages[previousIndex]);
+  for (let [name, value] of Object.entries(crtUniforms(crtParams, pose, millis(), effect))) {
+    crtShader.setUniform(name, value);
+  }
+  drawScreenSurface();
+  resetShader();
+  pop();
+}
+
+// ?crt=0: the flower and its red, green and blue images on stacked half-transparent planes;
+// of a channel change only the power cycle's squeeze shows
+function drawStackedScreen(flowerIndex, pose, effect) {
+  push();
+  scale(effect.squeeze[0], effect.squeeze[1], 1);
+  texture(crtTVImages[flowerIndex]);
+  drawScreenSurface();
+
+  // The color images split apart as the head moves away from the center
+  let offsetX = pose.x * HEAD_POSE_SETTINGS.rgbOffset;
+  let offsetY = pose.y * HEAD_POSE_SETTINGS.rgbOffset;
+
+  // Draw second overlapping image with 50% opacity
+  push();
+  translate(offsetX, offsetY, 0); // Offset with the head position
+  tint(255, 128); // 50% opacity
+  texture(crtTVImagesR[flowerIndex]);
+  drawScreenSurface(); // Same surface as the first image
+  pop();
+
+  // Draw second overlapping image with 50% opacity
+  push();
+  translate(-offsetX, offsetY, 0); // Offset with the head position
+  tint(255, 128); // 50% opacity
+  texture(crtTVImagesG[flowerIndex]);
+  drawScreenSurface(); // Same surface as the first image
+  pop();
+
+  // Draw second overlapping image with 50% opacity
+  push();
+  translate(offsetX, -offsetY, 0); // Offset with the head position
+  tint(255, 128); // 50% opacity
+  texture(crtTVImagesB[flowerIndex]);
+  drawScreenSurface(); // Same surface as the first image
+  pop();
+  pop();
+}
+
+// The model's screen (in its frame), or a plain 160x130 plane for a model without one
+function drawScreenSurface() {
+  if (tvModel.screen) model(tvModel.screen.geometry);
+  else plane(160, 130);
+}
+
+// A message buffer on a square plane at a layout position ({ x, y, size });
+// look: { opacity, scale: [x, y] } while the label changes with the channel
+function drawPlane(pg, place, look = null) {
+  push();
+  translate(place.x, place.y, 0);
+  if (look) {
+    tint(255, 128 * look.opacity); // The screen's 50% opacity, faded
+    scale(look.scale[0], look.scale[1], 1);
+  }
+  texture(pg); // Use the 2D graphics as a texture
+  plane(place.size, place.size);
   pop();
 }
 
+// ==============================================
+// RESIZE - Reflow on window resize and rotation
+// ==============================================
+function windowResized() {
+  let previous = layout.orientation;
+  layout = computeLayout(windowWidth, windowHeight);
+  resizeCanvas(layout.width, layout.height);
+  if (layout.orientation !== previous) {
+    // The camera image turns with the screen; old positions would look like a jump
+    keypointSmoother.reset();
+    console.log(`✅ Layout: ${layout.orientation} ${layout.width}x${layout.height}`);
+  }
+}
+
+// Prompt for the interaction state; toasts stay up until listening starts again
+function promptForState(state) {
+  let message = promptMessage(state);
+  // Under a result, what was heard
+  if ((state === 'recognized' || state === 'missed') && heardTranscript) {
+    message = { ...message, detail: `"${shortenTranscript(heardTranscript)}"` };
+  }
+  return message;
+}
+
+function promptMessage(state) {
+  if (!catalogReady || !tvModel) return uiMessage('loading', {}, { theme: 'status' });
+  switch (state) {
+    case 'no-camera':
+      if (inputStatus.failed('camera')) return inputFailureMessage('camera');
+      if (inputStatus.failed('faceModel')) return inputFailureMessage('faceModel');
+      return uiMessage('startingCamera', {}, { theme: 'status' });
+    case 'no-face': return uiMessage(kiosk && kiosk.attracting ? 'attract' : 'showFace', {}, { theme: 'status' });
+  }
+  if (mouthCalibration) {
+    return uiMessage(mouthCalibration.step === 'open' ? 'calibrateOpen' : 'calibrateClosed', {}, { theme: 'answer' });
+  }
+  if (state === 'listening') {
+    // Seconds until listening gives up
+    let left = interaction.timing.listenTimeoutMs - (millis() - interaction.stateTime);
+    return uiMessage('listening', {}, { detail: Math.max(0, Math.ceil(left / 1000)) });
+  }
+  let toast = messageQueue.current();
+  if (toast) return toast;
+  if (inputStatus.failed('speech')) return inputFailureMessage('speech');
+  return uiMessage(activeFace >= 0 ? 'openMouth' : 'holdToTalk');
+}
+
+// Message buffer for one plane, created the first time it is needed
+function messageDisplay(name) {
+  if (!messageDisplays[name]) messageDisplays[name] = createMessageDisplay({ clock: () => millis() });
+  return messageDisplays[name];
+}
+
+// Flower label and then its info card: the pre-rendered image if it suits
+// the locale, else text drawn on demand
+function flowerLabel(index, displayName) {
+  if (!crtTVNames[index]) return null;
+  if (!infoCards[displayName]) infoCards[displayName] = createInfoCard({ clock: () => millis() });
+  let pages = infoCardPages(index);
+  let page = infoCards[displayName].page(index, pages.length);
+  if (page === 0 && crtTVGraphics[index]) return crtTVGraphics[index];
+  return messageDisplay(displayName).update(pages[page]);
+}
+
+// ==============================================
+// INTERACTION - Face and speech events (see interaction.js)
+// ==============================================
+function setupInteraction() {
+  interaction = createInteractionController({
+    clock: () => millis(),
+    // Keep the mic off while the narrator talks so it does not hear itself, and while calibrating
+    canListen: () => (inputStatus.works('speech') || replayActive) && millis() > listenPausedUntil && !isNarrating() && !mouthCalibration,
+    hooks: {
+      // No recognizer while replaying; the session's speech events stand in
+      startListening: startRecognizer,
+      stopListening: () => { if (myRec) myRec.stop(); },
+      stateChange: onInteractionChange
+    }
+  });
+}
+
+function onInteractionChange(state, previous, detail) {
+  console.log(`Interaction: ${previous} -> ${state}`);
+  if (previous === 'listening') logEvent('listening-end', detail.reason ? { reason: detail.reason } : {});
+  if (state === 'listening') {
+    logEvent('listening-start');
+    messageQueue.clear();
+    heardTranscript = null;
+  } else if (state === 'missed' && detail.reason === 'error') {
+    // The recognizer failed; the prompt explains why instead of a random flower
+    logEvent('miss', { reason: detail.reason });
+    messageQueue.clear();
+  } else if (state === 'missed' && detail.reason) {
+    // Listening timed out or the recognizer gave up without a result
+    console.log("No flower name match found");
+    logEvent('miss', { reason: detail.reason });
+    suggestedIndex = -1;
+    messageQueue.clear();
+    messageQueue.show(uiMessage('missHear', {}, { theme: 'feedback' }));
+    selectFlower(randomFlowerIndex(), false, 'miss');
+    narrate(t('missHear') + ' ' + flowerAnnouncement(crtTVIndex));
+  }
+}
+
+// Per-frame facts for the state machine, and gestures
+function updateInteraction() {
+  let faceVisible = activeFace >= 0;
+  // Lip gap relative to face width, so distance to the camera does not matter
+  let openness = mouthOpenness(distance3_4, distance1_2);
+  let wasOpen = mouthIsOpen;
+  mouthIsOpen = faceVisible && isMouthOpen(openness, mouthIsOpen, mouthThresholds);
+  if (mouthIsOpen !== wasOpen) logEvent(mouthIsOpen ? 'mouth-open' : 'mouth-close');
+
+  if (faceVisible && calibrateOnFace) {
+    calibrateOnFace = false;
+    startMouthCalibration();
+  }
+  if (mouthCalibration && faceVisible) updateMouthCalibration(openness);
+
+  // A failed recognizer does not end listening by itself
+  if (interaction.state === 'listening' && inputStatus.failed('speech')) {
+    interaction.dispatch('speech-error', { error: inputStatus.status('speech').reason });
+  }
+
+  interaction.update({
+    cameraReady: isCameraReady(),
+    faceVisible: faceVisible,
+    mouthOpen: mouthIsOpen && !mouthCalibration,
+    holding: isHolding() // Tap and hold stands in for an open mouth (see manualControls.js)
+  });
+
+  // End of "stop listening"
+  if (listenPausedUntil > 0 && millis() > listenPausedUntil) {
+    listenPausedUntil = 0;
+    messageQueue.clear();
+  }
+
+  // Gestures run the action gestures.json binds them to
+  if (!faceVisible) {
+    gestureDetector.reset();
+    return;
+  }
+  for (let gesture of gestureDetector.update(measureGestureFeatures())) {
+    let action = gestureBindings[gesture];
+    if (action && !mouthCalibration && interaction.dispatch('gesture', { gesture: gesture })) {
+      runGestureAction(action, gesture);
+    }
+  }
+}
+
+// Face features for the gesture detectors, as ratios of the face width
+function measureGestureFeatures() {
+  let ratio = (from, to) => {
+    let a = getKeypoint(GESTURE_POINTS[from], activeFace);
+    let b = getKeypoint(GESTURE_POINTS[to], activeFace);
+    return a && b && distance1_2 ? dist(a.x, a.y, b.x, b.y) / distance1_2 : null;
+  };
+  let average = (a, b) => (a === null || b === null ? null : (a + b) / 2);
+  
+  return {
+    velocity: velocity5,
+    eyeOpenness: average(ratio('leftEyeTop', 'leftEyeBottom'), ratio('rightEyeTop', 'rightEyeBottom')),
+    mouthWidth: ratio('mouthLeft', 'mouthRight'),
+    browHeight: average(ratio('leftBrow', 'leftEyeTop'), ratio('rightBrow', 'rightEyeTop')),
+    // The eye line is at 180 degrees when the head is level
+    roll: angle1_2 === null ? null : ((angle1_2 + 360) % 360) - 180
+  };
+}
+
+// ==============================================
+// GESTURES - Actions from gestures.json
+// ==============================================
+function runGestureAction(action, gesture) {
+  console.log(`Gesture: ${gesture} -> ${action}`);
+  logEvent('gesture', { gesture: gesture, action: action });
+  
+  inputSource = 'gesture';
+  switch (action) {
+    case 'next':
+    case 'previous':
+    case 'random':
+    case 'back':
+    case 'whatIsThis':
+      runVoiceCommand({ type: action });
+      break;
+    case 'favorite':
+      toggleFavorite(crtTVIndex);
+      break;
+    case 'mute':
+      toggleNarration();
+      break;
+    case 'debug':
+      showData = !showData;
+      break;
+    case 'locale':
+      cycleLocale();
+      break;
+  }
+}
+
+function toggleFavorite(index) {
+  let flower = crtTVFlowers[index];
+  if (flower) setFavorite(index, !viewingHistory.isFavorite(flower.id));
+}
+
+function setFavorite(index, on) {
+  let flower = crtTVFlowers[index];
+  if (!flower) return;
+  viewingHistory.setFavorite(flower.id, on);
+  updateFlowerPicker();
+  showFeedback(t(on ? 'favoriteAdded' : 'favoriteRemoved', { name: crtTVNames[index][0] }));
+}
+
+// Next language in LOCALES, wrapping around
+function cycleLocale() {
+  let codes = Object.keys(LOCALES);
+  setLocale(codes[(codes.indexOf(currentLocale) + 1) % codes.length]);
+  showFeedback(t('languageSwitched'));
+}
+
+// ==============================================
+// CALIBRATION - Visitor's closed and open mouth (see mouth.js)
+// ==============================================
+function startMouthCalibration() {
+  mouthCalibration = createMouthCalibration({ clock: () => millis() });
+  narrate(t('calibrateClosed'));
+  console.log('Mouth calibration started');
+}
+
+function updateMouthCalibration(openness) {
+  let step = mouthCalibration.step;
+  mouthCalibration.addSample(openness);
+  if (mouthCalibration.step === step) return;
+
+  if (mouthCalibration.step === 'open') {
+    narrate(t('calibrateOpen'));
+  } else if (mouthCalibration.step === 'done') {
+    mouthThresholds = mouthCalibration.thresholds;
+    if (activeViewerId !== null) viewerMouthThresholds.set(activeViewerId, mouthThresholds);
+    console.log(`✅ Mouth calibrated: open > ${mouthThresholds.open.toFixed(3)}, closed < ${mouthThresholds.close.toFixed(3)}`);
+    finishMouthCalibration(t('calibrateDone'));
+  } else {
+    console.log('⚠️ Mouth calibration failed, keeping the previous thresholds');
+    finishMouthCalibration(t('calibrateFailed'));
+  }
+}
+
+function finishMouthCalibration(message) {
+  mouthCalibration = null;
+  mouthIsOpen = false; // Visitor just held the mouth open; make them open it again to listen
+  showFeedback(message);
+}
+
 function showResult() {
   if (myRec.resultValue==true) {
-    console.log(myRec.resultString);
-    // Split resultString by space and special symbols
-    let words = myRec.resultString.split(/[ +\-_`'\.\?!]+/);
-    console.log(words);
-    
-    // Search for matching flower name in crtTVNames
-    let foundIndex = -1;
-    
-    for (let i = 0; i < crtTVNames.length; i++) {
-      for (let j = 0; j < crtTVNames[i].length; j++) {
-        let nameEntry = crtTVNames[i][j];
-        let nameParts = nameEntry.split(" ");
-        
-        // Check if all name parts are found in words array in order
-        let wordIndex = 0;
-        let allPartsFound = true;
-        
-        for (let part of nameParts) {
-          let partFound = false;
-          for (let k = wordIndex; k < words.length; k++) {
-            if (words[k].toLowerCase() === part.toLowerCase()) {
-              wordIndex = k + 1;
-              partFound = true;
-              break;
-            }
-          }
-          if (!partFound) {
-            allPartsFound = false;
-            break;
-          }
-        }
-        
-        if (allPartsFound) {
-          foundIndex = i;
-          console.log(`Found match: "${nameEntry}" at index ${i}`);
-          break;
-        }
+    let alternatives = getSpeechAlternatives();
+    recordEvent('speech', { alternatives: alternatives });
+    if (kiosk) kiosk.speechResult(true);
+    receiveSpeech(alternatives);
+  }
+}
+
+// Speech from the recognizer or from a replayed session
+function receiveSpeech(alternatives) {
+  // A late result after listening was stopped (face lost, timeout) is dropped
+  if (interaction.state !== 'listening') return;
+  console.log(alternatives.map(alternative => alternative.transcript));
+  heardTranscript = alternatives[0].transcript;
+  inputSource = 'voice';
+  let matched = answerSpeech(alternatives);
+  interaction.dispatch('speech-result', { matched: matched });
+}
+
+// Acts on what was heard; returns false when nothing was understood
+function answerSpeech(alternatives) {
+  let answer = alternatives[0].transcript;
+  logEvent('transcript', { text: answer, source: inputSource });
+  
+  // Answer to a previous "Did you mean X?"
+  let suggestion = suggestedIndex;
+  suggestedIndex = -1;
+  
+  // Spoken language switch ("deutsch", "български")
+  let newLocale = findLocaleSwitch(answer);
+  if (newLocale) {
+    logEvent('locale', { locale: newLocale });
+    setLocale(newLocale);
+    messageQueue.clear();
+    return true;
+  }
+  
+  // Commands ("next", "show me something purple") before flower names
+  let command = parseVoiceCommand(answer, getLocale());
+  if (command) {
+    logEvent('match', { command: command.type });
+    runVoiceCommand(command);
+    return true;
+  }
+  
+  // Rank every flower against every alternative the recognizer heard
+  let matches = rankFlowerMatches(alternatives, crtTVNames, { pluralRules: getLocale().pluralRules });
+  let best = matches[0];
+  console.log(`Best match: "${best ? best.name : '-'}" (${best ? best.score.toFixed(2) : 0})`);
+  
+  if (best && best.score >= MATCH_ACCEPT_SCORE) {
+    logEvent('match', { flower: crtTVFlowers[best.index].id, score: best.score });
+    messageQueue.clear();
+    selectFlower(best.index, true, 'speech');
+  } else if (suggestion !== -1 && isAffirmative(answer, getLocale().yesWords)) {
+    logEvent('match', { flower: crtTVFlowers[suggestion].id, confirmed: true });
+    messageQueue.clear();
+    console.log("Suggestion confirmed");
+    selectFlower(suggestion, true, 'speech');
+  } else if (suggestion !== -1 && isNegative(answer, getLocale().noWords)) {
+    logEvent('miss', { heard: answer, declined: crtTVFlowers[suggestion].id });
+    messageQueue.clear();
+    console.log("Suggestion declined");
+  } else if (best && best.score >= MATCH_SUGGEST_SCORE) {
+    logEvent('suggest', { heard: answer, suggested: crtTVFlowers[best.index].id, score: best.score });
+    suggestedIndex = best.index;
+    showFeedback(t('didYouMean', { name: best.name }));
+    console.log(`Low confidence, asking about index: ${suggestedIndex}`);
+  } else {
+    console.log("No flower name match found");
+    logEvent('miss', { heard: answer });
+    let message = t('heardUnknown', { heard: shortenTranscript(answer) });
+    showFeedback(message, 'feedback', false);
+    selectFlower(randomFlowerIndex(), false, 'miss');
+    narrate(message + ' ' + flowerAnnouncement(crtTVIndex));
+    return false;
+  }
+  return true;
+}
+
+// ==============================================
+// HELPER - Recognizer alternatives for the last result
+// ==============================================
+// Falls back to the single resultString when the browser gives no alternatives
+function getSpeechAlternatives() {
+  let event = myRec.resultJSON;
+  let result = event && event.results && event.results[event.resultIndex];
+  if (!result || result.length === 0) {
+    return [{ transcript: myRec.resultString, confidence: myRec.resultConfidence }];
+  }
+  return Array.from(result, alternative => ({
+    transcript: alternative.transcript,
+    confidence: alternative.confidence
+  }));
+}
+
+// Keep quoted transcripts short enough for the prompt plane
+function shortenTranscript(transcript) {
+  let text = transcript.trim();
+  return text.length > 40 ? text.slice(0, 37) + '...' : text;
+}
+
+// ==============================================
+// COMMANDS - Voice commands (see voiceCommands.js)
+// ==============================================
+function runVoiceCommand(command) {
+  console.log(`Voice command: ${command.type}`);
+  
+  switch (command.type) {
+    case 'next':
+      messageQueue.clear();
+      stepFlower(1);
+      break;
+    case 'previous':
+      messageQueue.clear();
+      stepFlower(-1);
+      break;
+    case 'random':
+      selectFlower(randomFlowerIndex(), true, 'random');
+      messageQueue.clear();
+      break;
+    case 'back':
+      if (flowerHistory.length === 0) {
+        showFeedback(t('nothingBack'));
+      } else {
+        let previous = flowerHistory.pop(); // Going back is not added to the "go back" list
+        channelChanger.change(crtTVIndex, previous, 'back');
+        crtTVIndex = previous;
+        rememberFlower(crtTVIndex, 'back');
+        messageQueue.clear();
+        announceFlower(crtTVIndex);
       }
-      if (foundIndex !== -1) break;
-    }
-    
-    mouthOpen = false;
-    mouthClose = true;
-    mouthCloseTime = millis();
-    if (foundIndex !== -1) {
-      pg = pgClosed;
-      crtTVIndex = foundIndex;
-      console.log(`Displaying flower at index: ${crtTVIndex}`);
-    } else {
-      pg = pgMissHear;
-      console.log("No flower name match found");
-      crtTVIndex = floor(random(crtTVImages.length));
-      console.log(`Displaying random flower at index: ${crtTVIndex}`);
-    }
+      break;
+    case 'favorite':
+      setFavorite(crtTVIndex, true);
+      break;
+    case 'favorites':
+      browseFlowers({ attribute: 'favorites' });
+      break;
+    case 'filter':
+      browseFlowers({ attribute: command.attribute, value: command.value });
+      break;
+    case 'whatIsThis':
+      if (crtTVNames[crtTVIndex]) {
+        showFeedback(t('whatIsThis', { name: crtTVNames[crtTVIndex][0] }), 'answer', false);
+        announceFlower(crtTVIndex);
+      }
+      break;
+    case 'repeat':
+      if (lastFeedback) {
+        showFeedback(lastFeedback);
+      } else {
+        messageQueue.clear();
+      }
+      break;
+    case 'stopListening':
+      listenPausedUntil = millis() + LISTEN_PAUSE_MS;
+      showFeedback(t('listeningPaused'));
+      break;
+    case 'mute':
+      setNarrationMuted(true);
+      showFeedback(t('narrationOff'));
+      break;
+    case 'unmute':
+      setNarrationMuted(false);
+      showFeedback(t('narrationOn'));
+      break;
+  }
+}
+
+// Structured log for operators; the operator screen follows along while open
+function logEvent(type, details = {}) {
+  eventLog.add(type, details);
+  updateOperatorScreen();
+}
+
+// Queue a toast (see messages.js) and read it aloud
+function showFeedback(message, theme = 'feedback', speak = true) {
+  messageQueue.show(createMessage(message, { theme: theme }));
+  lastFeedback = message;
+  if (speak) narrate(message);
+}
+
+// Mute or unmute the narrator and confirm on screen
+function toggleNarration() {
+  setNarrationMuted(!narrationMuted);
+  showFeedback(t(narrationMuted ? 'narrationOff' : 'narrationOn'));
+}
+
+// ==============================================
+// FLOWERS - Change the flower on the TV
+// ==============================================
+// announce: read the flower aloud; false when the caller narrates a combined message
+function selectFlower(index, announce = true, trigger = 'pick') {
+  if (index === crtTVIndex || index < 0 || index >= crtTVImages.length) return;
+  flowerHistory.push(crtTVIndex);
+  if (flowerHistory.length > FLOWER_HISTORY_LENGTH) flowerHistory.shift();
+  channelChanger.change(crtTVIndex, index, trigger);
+  crtTVIndex = index;
+  // Anything but stepping through them ends browsing a subset
+  if (trigger !== 'step') browsing = null;
+  rememberFlower(index, historyHow(trigger));
+  updateFlowerPicker();
+  console.log(`Displaying flower at index: ${crtTVIndex}`);
+  if (announce) announceFlower(crtTVIndex);
+}
+
+// Viewing history and event log entry for a flower shown
+function rememberFlower(index, how) {
+  viewingHistory.record(crtTVFlowers[index].id, how);
+  logEvent('flower', { flower: crtTVFlowers[index].id, how: how });
+}
+
+// How a change is logged in the viewing history (see HISTORY_HOW)
+function historyHow(trigger) {
+  if (trigger === 'miss' || trigger === 'random') return 'random';
+  if (trigger === 'favorites' || (trigger === 'step' && browsing && browsing.attribute === 'favorites')) return 'favorites';
+  return inputSource;
+}
+
+// Step forward (1) or back (-1) through the catalog, or the subset being
+// browsed, wrapping around
+function stepFlower(step) {
+  let count = crtTVImages.length;
+  if (count === 0) return;
+  let indices = browsing ? subsetIndices(browsing) : [];
+  if (indices.length === 0) {
+    selectFlower((crtTVIndex + step + count) % count, true, 'step');
+    return;
+  }
+  // From a flower outside the subset (a favorite no longer), the nearest one in that direction
+  let position = indices.indexOf(crtTVIndex);
+  if (position === -1) {
+    let ahead = indices.findIndex(i => i > crtTVIndex);
+    position = (ahead === -1 ? indices.length : ahead) - (step > 0 ? 1 : 0);
+  }
+  selectFlower(indices[(position + step + indices.length) % indices.length], false, 'step');
+  showBrowsingPosition();
+}
+
+// Next flower of the subset after the current one, wrapping around; next /
+// previous then stay within the subset
+function browseFlowers(subset) {
+  let indices = subsetIndices(subset);
+  if (indices.length === 0) {
+    showFeedback(t(BROWSING_MESSAGES[subset.attribute].none, subsetParams(subset)));
+    return;
+  }
+  let next = indices.find(i => i > crtTVIndex);
+  selectFlower(next !== undefined ? next : indices[0], false, subset.attribute === 'favorites' ? 'favorites' : 'speech');
+  browsing = subset;
+  showBrowsingPosition();
+}
+
+// "Something blue, 2 of 4: iris."
+function showBrowsingPosition() {
+  let indices = subsetIndices(browsing);
+  showFeedback(t(BROWSING_MESSAGES[browsing.attribute].showing, {
+    ...subsetParams(browsing),
+    position: indices.indexOf(crtTVIndex) + 1,
+    count: indices.length,
+    name: crtTVNames[crtTVIndex][0]
+  }));
+}
+
+// Catalog indices of the subset's flowers, in catalog order
+function subsetIndices(subset) {
+  if (subset.attribute === 'favorites') {
+    return crtTVFlowers.map((flower, i) => i).filter(i => viewingHistory.isFavorite(crtTVFlowers[i].id));
+  }
+  return findFlowersWith(crtTVFlowers, subset.attribute, subset.value);
+}
+
+// The subset's word for its messages: { color: 'blue' }
+function subsetParams(subset) {
+  if (subset.attribute === 'favorites') return {};
+  return { [FILTER_ATTRIBUTES[subset.attribute].slot]: attributeWord(subset.attribute, subset.value, getLocale()) };
+}
+
+// Any flower but the current one, and none of the last few shown while others are left
+function randomFlowerIndex() {
+  let count = crtTVImages.length;
+  if (count < 2) return crtTVIndex;
+  let recentIds = viewingHistory.recentIds(VIEWING_HISTORY_SETTINGS.avoidRecent);
+  let avoid = new Set(crtTVFlowers.map((flower, i) => i).filter(i => recentIds.includes(crtTVFlowers[i].id)));
+  avoid.add(crtTVIndex);
+  if (avoid.size >= count) avoid = new Set([crtTVIndex]);
+  return pickRandomIndex(count, avoid, random());
+}
+
+// Continue with the flower shown last, and its "go back" list, from the viewing history
+function restoreViewing() {
+  let current = -1;
+  let previous = [];
+  // Replay the log the way selectFlower() and "go back" built the list
+  for (let entry of viewingHistory.entries()) {
+    let index = crtTVFlowers.findIndex(flower => flower.id === entry.id);
+    if (index === -1) continue; // No longer in flowers.json
+    if (entry.how === 'back') previous.pop();
+    else if (current !== -1 && index !== current) previous.push(current);
+    current = index;
+  }
+  if (current === -1) return;
+
+  crtTVIndex = current;
+  flowerHistory = previous.slice(-FLOWER_HISTORY_LENGTH);
+  updateFlowerPicker();
+  console.log(`✅ Continuing with ${crtTVFlowers[crtTVIndex].id} from the last visit`);
+}
+
+// ==============================================
+// INPUT FAILURES - Explain, retry, fall back (see inputStatus.js)
+// ==============================================
+function onInputStatusChange(input, status, previous) {
+  if (status.state === 'failed') {
+    let message = status.message ? `${status.reason}: ${status.message}` : status.reason;
+    console.log(`⚠️ ${input} failed (${message})`);
+    logEvent('error', { source: input, message: message });
+  } else if (status.state === 'ready' && previous.state === 'failed') {
+    console.log(`✅ ${input} works again`);
+  }
+  updateRetryButton();
+}
+
+function inputFailureMessage(input) {
+  let messages = INPUT_FAILURE_MESSAGES[input];
+  let key = messages[inputStatus.status(input).reason] || messages.other;
+  return uiMessage(key, {}, { theme: 'warning' });
+}
+
+// A recognizer that is still running throws; it ends by itself, else the timeout ends listening
+function startRecognizer() {
+  if (!myRec) return;
+  try {
+    myRec.start();
+  } catch (error) {
+    console.log(`⚠️ Speech recognition did not start: ${error.message}`);
   }
 }
 
+function createRetryButton() {
+  if (retryButton) return;
+  retryButton = createButton('');
+  retryButton.class('retry-button');
+  retryButton.elt.addEventListener('click', retryInputs);
+  updateRetryButton();
+}
+
+// Shown while a failed input may work on another try
+function updateRetryButton() {
+  if (!retryButton) return;
+  retryButton.html('↻ ' + t('retry'));
+  retryButton.elt.hidden = inputStatus.retryable().length === 0;
+}
+
+function retryInputs() {
+  let failed = inputStatus.retryable();
+  console.log(`Retrying: ${failed.join(', ')}`);
+  // A new camera brings a new face model with it
+  if (failed.includes('camera')) startCamera();
+  else if (failed.includes('faceModel')) startFaceModel();
+  if (failed.includes('speech')) startSpeech();
+}
+
+// ==============================================
+// KIOSK - Unattended installations (see kiosk.js)
+// ==============================================
+function updateKiosk() {
+  if (!kiosk) return;
+  kiosk.update({
+    present: interaction.state !== 'no-camera' && interaction.state !== 'no-face',
+    lastDetection: faceMesh && facesTime > 0 ? facesTime : null,
+    listening: interaction.state === 'listening',
+    recognizerActive: recognizerActive
+  });
+}
+
+// Attract loop: the next flower with the given transition, kept out of the
+// viewing history and the "go back" list
+function showAttractFlower(transition) {
+  let count = crtTVImages.length;
+  if (count < 2) return;
+  let next = (crtTVIndex + 1) % count;
+  channelChanger.change(crtTVIndex, next, transition);
+  crtTVIndex = next;
+}
+
+// The next visitor starts fresh: first flower, starting language and narration, default
+// mouth thresholds, nothing to go back to
+function resetVisit() {
+  console.log('Kiosk: visit reset');
+  channelChanger.reset();
+  crtTVIndex = 0;
+  flowerHistory = [];
+  viewingHistory.clear(); // Favorites and "seen" belong to the visitor who left
+  browsing = null;
+  suggestedIndex = -1;
+  heardTranscript = null;
+  lastFeedback = null;
+  listenPausedUntil = 0;
+  if (narrationMuted !== narrationSettings.muted) setNarrationMuted(narrationSettings.muted); // "mute" was for the last visitor
+  // Mouth thresholds and calibration start over too (see handOver())
+  mouthCalibration = null;
+  viewerMouthThresholds.clear();
+  mouthThresholds = defaultMouthThresholds;
+  calibrateOnFace = calibrateEachVisitor;
+  messageQueue.clear();
+  closeFlowerPicker();
+  showPickerList('all'); // Relabels the picker for the first flower and the emptied history
+  if (currentLocale !== getInitialLocale()) setLocale(getInitialLocale());
+  // Failed inputs get another try between visitors (see inputStatus.js)
+  if (inputStatus.retryable().length > 0) retryInputs();
+}
+
+// FaceMesh stopped delivering results: start detection again
+function restartFaceDetection() {
+  if (!faceMesh || !cam) return;
+  console.log('⚠️ Face detection stalled, restarting');
+  logEvent('error', { source: 'facemesh', message: 'Detection stalled, restarted' });
+  faceMesh.detectStop();
+  faceMesh.detectStart(cam.videoElement, gotFaces);
+}
+
+// The recognizer did not start or keeps failing: replace it
+function restartRecognizer() {
+  if (!myRec) return;
+  console.log('⚠️ Speech recognition stalled, restarting');
+  logEvent('error', { source: 'speech', message: 'Recognizer stalled, restarted' });
+  startSpeech();
+  if (interaction.state === 'listening') startRecognizer();
+}
+
 // ==============================================
-// INTERACTION - Toggle video on touch
+// INTERACTION - Swipe and tap-and-hold (see manualControls.js)
 // ==============================================
-function mousePressed() {
-  //showVideo = !showVideo;
+// p5 sends touches here too; presses on the picker and other page elements are skipped
+function mousePressed(event) {
+  if (!isCanvasEvent(event)) return;
+  startPointer(mouseX, mouseY);
+}
+
+function mouseDragged() {
+  movePointer(mouseX, mouseY);
+}
+
+function mouseReleased() {
+  endPointer(mouseX, mouseY);
+}
+
+function isCanvasEvent(event) {
+  return !event || event.target === drawingContext.canvas;
+}
+
+// ==============================================
+// INTERACTION - Keyboard shortcuts
+// ==============================================
+function keyPressed() {
+  // Arrows, Enter and Escape; nothing while a name is typed into the picker
+  if (isTypingInPicker() || handleManualKey(keyCode)) return;
+
+  // M: Mute or unmute the narrator (quiet gallery spaces)
+  if (key === 'm' || key === 'M') {
+    toggleNarration();
+  }
+  // R: Save the session recorded with ?record=1
+  if ((key === 'r' || key === 'R') && sessionMode.mode === 'record') {
+    saveRecording();
+  }
+  // O: Operator screen with the event log summary and export
+  if (key === 'o' || key === 'O') {
+    toggleOperatorScreen();
+  }
+  // C: Calibrate mouth open/closed for the current visitor
+  if ((key === 'c' || key === 'C') && !mouthCalibration && interaction.state !== 'listening') {
+    startMouthCalibration();
+  }
 }
\ No newline at end of file
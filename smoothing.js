@@ -0,0 +1,129 @@
+/*
+Smoothing - One Euro filter for face keypoints
+
+FaceMesh landmarks jitter by a few pixels from frame to frame even when the
+head is still, which shakes the TV and can look like a nod. The One Euro
+filter smooths strongly while a point is nearly still and follows quickly
+when it moves fast, so there is little lag on real movement:
+  cutoff = minCutoff + beta * |speed|
+Each tracked keypoint (and each of x, y, z) has its own filter. Time is in
+milliseconds from the caller, so the result is the same at 30 and 60 fps.
+
+Settings (SMOOTHING_SETTINGS):
+- minCutoff: Hz while still; lower is smoother but lags more
+- beta: How fast the cutoff rises with speed (speed in px/s)
+- dCutoff: Hz for the speed estimate itself
+Keypoints that must react fast (eyelids for blinks) get their own settings
+through options.overrides. Add ?smooth=0 to the URL to turn smoothing off.
+
+Key Functions:
+- createOneEuroFilter(settings): Filter for one value; filter.filter(value, timeMs)
+- createKeypointSmoother(options): Filters per keypoint; smoother.smooth(point, index, timeMs, faceNumber)
+  (faceNumber is any stable key per face, e.g. a viewer id from viewers.js)
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const SMOOTHING_SETTINGS = {
+  enabled: true,
+  minCutoff: 1.0,
+  beta: 0.01,
+  dCutoff: 1.0
+};
+
+// ==============================================
+// FILTER - One value
+// ==============================================
+function createOneEuroFilter(settings = SMOOTHING_SETTINGS) {
+  let value = null;
+  let speed = 0;
+  let lastTime = null;
+
+  // Smoothing factor for a cutoff frequency over dt seconds
+  function alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  function filter(raw, timeMs) {
+    if (value === null) {
+      value = raw;
+      lastTime = timeMs;
+      return value;
+    }
+    const dt = (timeMs - lastTime) / 1000;
+    if (dt <= 0) return value; // Same detection asked for twice
+
+    speed += alpha(settings.dCutoff, dt) * ((raw - value) / dt - speed);
+    const cutoff = settings.minCutoff + settings.beta * Math.abs(speed);
+    value += alpha(cutoff, dt) * (raw - value);
+    lastTime = timeMs;
+    return value;
+  }
+
+  function reset() {
+    value = null;
+    speed = 0;
+    lastTime = null;
+  }
+
+  return { filter, reset };
+}
+
+// ==============================================
+// KEYPOINTS - One filter set per tracked point
+// ==============================================
+// options.settings: Overrides for SMOOTHING_SETTINGS
+// options.overrides: { [keypoint index]: settings } for points that need their own
+function createKeypointSmoother(options = {}) {
+  const settings = { ...SMOOTHING_SETTINGS, ...(options.settings || {}) };
+  const overrides = options.overrides || {};
+  const filters = new Map();
+
+  // point: { x, y, z? }; index: FaceMesh keypoint index; returns a smoothed copy
+  function smooth(point, index, timeMs, faceNumber = 0) {
+    if (!point || !settings.enabled) return point;
+    const key = `${faceNumber}:${index}`;
+    if (!filters.has(key)) {
+      const pointSettings = { ...settings, ...(overrides[index] || {}) };
+      filters.set(key, {
+        x: createOneEuroFilter(pointSettings),
+        y: createOneEuroFilter(pointSettings),
+        z: createOneEuroFilter(pointSettings)
+      });
+    }
+    const filter = filters.get(key);
+    const smoothed = { ...point, x: filter.x.filter(point.x, timeMs), y: filter.y.filter(point.y, timeMs) };
+    if (typeof point.z === 'number') smoothed.z = filter.z.filter(point.z, timeMs);
+    return smoothed;
+  }
+
+  // Start over, e.g. when the face is lost and someone else steps in
+  function reset() {
+    filters.clear();
+  }
+
+  // Drop one face's filters, e.g. when that visitor has left
+  function forget(faceNumber) {
+    for (const key of filters.keys()) {
+      if (key.startsWith(`${faceNumber}:`)) filters.delete(key);
+    }
+  }
+
+  return { smooth, reset, forget, settings };
+}
+
+// ?smooth=0 turns smoothing off, to compare
+function readSmoothingSettings() {
+  const settings = { ...SMOOTHING_SETTINGS };
+  if (typeof window === 'undefined' || !window.location) return settings;
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('smooth')) settings.enabled = params.get('smooth') !== '0';
+  return settings;
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SMOOTHING_SETTINGS, createOneEuroFilter, createKeypointSmoother, readSmoothingSettings };
+}
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/*
+Flower Asset Builder - Offline CLI
+
+Turns a folder of source photos into everything the sketch needs for each
+flower, so a new flower only takes a single photo:
+- <id>.jpg              Base image, cropped to the TV screen's 160x130 aspect ratio
+- <id>r/g/b.jpg         Red, green and blue channel separations layered by drawUI()
+- <id>t.jpg             160x130 thumbnail
+- <id>label.png         "Showing you <name>." label card
+- flowers.json entries  Added or updated in the manifest read by catalog.js
+
+The flower id and name come from the file name: "morning glory.jpg" becomes
+id "morningglory" and name "morning glory". Existing manifest entries keep
+their name, synonyms and any other fields; only the asset paths are updated.
+
+Runs fully offline (Jimp is pure JavaScript, fonts are bundled).
+
+Usage:
+  node tools/build-assets.js <source-folder> [options]
+
+Options:
+  --out <folder>        Where to write the images (default: the manifest's folder)
+  --manifest <file>     Manifest to update (default: the sketch's flowers.json,
+                        wherever the tool is run from)
+  --width <px>          Width of the base and channel images (default: 640)
+  --dry-run             Report what would be written without writing anything
+*/
+
+const fs = require('fs');
+const path = require('path');
+const Jimp = require('jimp');
+const { validateManifest } = require('../catalog.js');
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const SCREEN_WIDTH = 160;   // TV screen plane size used in drawUI()
+const SCREEN_HEIGHT = 130;
+const LABEL_SIZE = 400;     // Label planes are 400x400 like the crtTVGraphics buffers
+const LABEL_COLOR = { r: 0x56, g: 0x36, b: 0x5C }; // Lilac shadow
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const DEFAULT_MANIFEST = path.join(__dirname, '..', 'flowers.json'); // npm run build-assets runs from tools/
+const CHANNELS = { r: 0, g: 1, b: 2 }; // Byte offset of each channel in RGBA data
+
+// ==============================================
+// ARGUMENTS
+// ==============================================
+function parseArgs(argv) {
+  const options = { source: null, out: null, manifest: DEFAULT_MANIFEST, width: 640, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--manifest') options.manifest = argv[++i];
+    else if (arg === '--width') options.width = parseInt(argv[++i], 10);
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.source = arg;
+  }
+
+  if (options.help) return options;
+  if (!options.source) throw new Error('Missing source folder.');
+  if (!Number.isInteger(options.width) || options.width < SCREEN_WIDTH) {
+    throw new Error(`--width must be a whole number of at least ${SCREEN_WIDTH}.`);
+  }
+  if (!options.out) options.out = path.dirname(path.resolve(options.manifest));
+  return options;
+}
+
+// ==============================================
+// NAMING - Flower id and name from a file name
+// ==============================================
+function flowerNameFromFile(file) {
+  return path.basename(file, path.extname(file))
+    .replace(/[-_]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function flowerIdFromName(name) {
+  return name.replace(/[^a-z0-9]/g, '');
+}
+
+// ==============================================
+// IMAGES - Crop, channel separation, thumbnail, label
+// ==============================================
+// Crop to the screen aspect ratio around the center and resize
+function fitToScreen(image, width) {
+  const height = Math.round(width * SCREEN_HEIGHT / SCREEN_WIDTH);
+  return image.clone().cover(width, height);
+}
+
+// Keep one channel, zero the other two (same as the hand-made r/g/b files)
+function separateChannel(image, channel) {
+  const keep = CHANNELS[channel];
+  const result = image.clone();
+  result.scan(0, 0, result.bitmap.width, result.bitmap.height, function (x, y, idx) {
+    for (const offset of Object.values(CHANNELS)) {
+      if (offset !== keep) this.bitmap.data[idx + offset] = 0;
+    }
+  });
+  return result;
+}
+
+async function renderLabel(name) {
+  const font = await Jimp.loadFont(Jimp.FONT_SANS_32_BLACK);
+  const label = new Jimp(LABEL_SIZE, LABEL_SIZE, 0x00000000);
+  const lineHeight = 40;
+  const lines = ['Showing you', name + '.'];
+  const top = (LABEL_SIZE - lines.length * lineHeight) / 2;
+
+  lines.forEach((line, i) => {
+    label.print(font, 0, top + i * lineHeight,
+      { text: line, alignmentX: Jimp.HORIZONTAL_ALIGN_CENTER }, LABEL_SIZE, lineHeight);
+  });
+
+  // The bundled fonts are black; recolor the glyphs, keeping their alpha
+  label.scan(0, 0, LABEL_SIZE, LABEL_SIZE, function (x, y, idx) {
+    this.bitmap.data[idx] = LABEL_COLOR.r;
+    this.bitmap.data[idx + 1] = LABEL_COLOR.g;
+    this.bitmap.data[idx + 2] = LABEL_COLOR.b;
+  });
+  return label;
+}
+
+// ==============================================
+// MANIFEST - Read, merge and write flowers.json
+// ==============================================
+function readManifest(file) {
+  if (!fs.existsSync(file)) return { version: 1, flowers: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Updates the asset paths of an existing entry or appends a new one
+function mergeEntry(manifest, entry) {
+  const existing = manifest.flowers.find(flower => flower.id === entry.id);
+  if (existing) {
+    existing.image = entry.image;
+    existing.channels = entry.channels;
+    existing.thumbnail = entry.thumbnail;
+    existing.label = entry.label;
+    return 'updated';
+  }
+  manifest.flowers.push(entry);
+  return 'added';
+}
+
+// Manifest paths are relative to the manifest (the sketch folder), with forward slashes
+function assetPath(manifestFile, file) {
+  return path.relative(path.dirname(path.resolve(manifestFile)), file).split(path.sep).join('/');
+}
+
+// ==============================================
+// BUILD - One source photo
+// ==============================================
+async function buildFlower(sourceFile, options) {
+  const name = flowerNameFromFile(sourceFile);
+  const id = flowerIdFromName(name);
+  if (!id) throw new Error(`Cannot derive a flower id from "${path.basename(sourceFile)}".`);
+
+  const out = (suffix) => path.join(options.out, id + suffix);
+  const files = {
+    image: out('.jpg'),
+    r: out('r.jpg'),
+    g: out('g.jpg'),
+    b: out('b.jpg'),
+    thumbnail: out('t.jpg'),
+    label: out('label.png')
+  };
+
+  if (!options.dryRun) {
+    const source = await Jimp.read(sourceFile);
+    const screen = fitToScreen(source, options.width);
+    await screen.quality(90).writeAsync(files.image);
+    for (const channel of Object.keys(CHANNELS)) {
+      await separateChannel(screen, channel).quality(90).writeAsync(files[channel]);
+    }
+    await fitToScreen(source, SCREEN_WIDTH).quality(85).writeAsync(files.thumbnail);
+    await (await renderLabel(name)).writeAsync(files.label);
+  }
+
+  return {
+    id,
+    name,
+    synonyms: [],
+    image: assetPath(options.manifest, files.image),
+    channels: {
+      r: assetPath(options.manifest, files.r),
+      g: assetPath(options.manifest, files.g),
+      b: assetPath(options.manifest, files.b)
+    },
+    thumbnail: assetPath(options.manifest, files.thumbnail),
+    label: assetPath(options.manifest, files.label)
+  };
+}
+
+// ==============================================
+// MAIN
+// ==============================================
+async function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log('Usage: node tools/build-assets.js <source-folder> [--out <folder>] [--manifest <file>] [--width <px>] [--dry-run]');
+    return 0;
+  }
+
+  const sources = fs.readdirSync(options.source)
+    .filter(file => SOURCE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+    .map(file => path.join(options.source, file));
+  if (sources.length === 0) {
+    throw new Error(`No ${SOURCE_EXTENSIONS.join('/')} photos found in ${options.source}.`);
+  }
+
+  const manifest = readManifest(options.manifest);
+  if (!options.dryRun) fs.mkdirSync(options.out, { recursive: true });
+
+  let failures = 0;
+  for (const sourceFile of sources) {
+    try {
+      const entry = await buildFlower(sourceFile, options);
+      const action = mergeEntry(manifest, entry);
+      console.log(`✅ ${path.basename(sourceFile)} -> ${entry.id} (${action})`);
+    } catch (err) {
+      failures++;
+      console.error(`⚠️ ${path.basename(sourceFile)}: ${err.message}`);
+    }
+  }
+
+  const { errors } = validateManifest(manifest);
+  errors.forEach(error => console.error(`⚠️ Manifest: ${error}`));
+
+  if (!options.dryRun) {
+    fs.writeFileSync(options.manifest, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`Wrote ${options.manifest} (${manifest.flowers.length} flowers).`);
+  }
+  return failures > 0 || errors.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error(`⚠️ ${err.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  parseArgs, flowerNameFromFile, flowerIdFromName, separateChannel, fitToScreen, mergeEntry, assetPath
+};
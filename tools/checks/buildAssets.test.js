@@ -0,0 +1,67 @@
+/*
+Asset Builder Checks - Crop size, manifest paths and merging
+
+Usage:
+  node --test tools/checks/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const Jimp = require('jimp');
+const { parseArgs, fitToScreen, mergeEntry, assetPath } = require('../build-assets.js');
+
+const sketchFolder = path.join(__dirname, '..', '..');
+
+test('the manifest defaults to the sketch folder wherever the tool runs from', () => {
+  const options = parseArgs(['photos']);
+  assert.equal(options.manifest, path.join(sketchFolder, 'flowers.json'));
+  assert.equal(options.out, sketchFolder);
+});
+
+test('--manifest moves the default output folder with it', () => {
+  const options = parseArgs(['photos', '--manifest', path.join('other', 'flowers.json')]);
+  assert.equal(options.out, path.resolve('other'));
+});
+
+test('photos are cover-cropped to the 160x130 screen', () => {
+  for (const [width, height] of [[1000, 300], [300, 1000], [160, 130]]) {
+    const screen = fitToScreen(new Jimp(width, height, 0xff0000ff), 640);
+    assert.equal(screen.bitmap.width, 640);
+    assert.equal(screen.bitmap.height, 520);
+  }
+  const thumbnail = fitToScreen(new Jimp(500, 500, 0xff0000ff), 160);
+  assert.equal(thumbnail.bitmap.width, 160);
+  assert.equal(thumbnail.bitmap.height, 130);
+});
+
+test('asset paths are relative to the manifest, with forward slashes', () => {
+  const manifest = path.join(sketchFolder, 'flowers.json');
+  assert.equal(assetPath(manifest, path.join(sketchFolder, 'tulip.jpg')), 'tulip.jpg');
+  assert.equal(assetPath(manifest, path.join(sketchFolder, 'assets', 'tulipr.jpg')), 'assets/tulipr.jpg');
+});
+
+test('merging updates asset paths and keeps the rest of an entry', () => {
+  const manifest = {
+    version: 1,
+    flowers: [{ id: 'tulip', name: 'tulip', synonyms: ['tulips'], image: 'old.jpg', seasons: ['spring'] }]
+  };
+  const entry = (id) => ({
+    id, name: id, synonyms: [],
+    image: `${id}.jpg`,
+    channels: { r: `${id}r.jpg`, g: `${id}g.jpg`, b: `${id}b.jpg` },
+    thumbnail: `${id}t.jpg`,
+    label: `${id}label.png`
+  });
+
+  assert.equal(mergeEntry(manifest, entry('tulip')), 'updated');
+  assert.equal(mergeEntry(manifest, entry('rose')), 'added');
+
+  const [tulip, rose] = manifest.flowers;
+  assert.deepEqual(tulip.synonyms, ['tulips']);
+  assert.deepEqual(tulip.seasons, ['spring']);
+  assert.equal(tulip.image, 'tulip.jpg');
+  assert.deepEqual(tulip.channels, { r: 'tulipr.jpg', g: 'tulipg.jpg', b: 'tulipb.jpg' });
+  assert.equal(tulip.label, 'tuliplabel.png');
+  assert.deepEqual(rose, entry('rose'));
+});
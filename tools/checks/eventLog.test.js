@@ -0,0 +1,59 @@
+/*
+Event Log Checks - The operator summary counts each attempt once
+
+Usage:
+  node --test tools/checks/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeEvents } = require('../../eventLog.js');
+
+// Event types with ascending times
+const events = (...list) => list.map((event, i) => ({ time: i * 1000, ...event }));
+
+test('a confirmed suggestion is one match', () => {
+  const summary = summarizeEvents(events(
+    { type: 'listening-start' },
+    { type: 'suggest', heard: 'tulep', suggested: 'tulip', score: 0.7 },
+    { type: 'listening-start' },
+    { type: 'match', flower: 'tulip', confirmed: true }
+  ));
+  assert.equal(summary.matches, 1);
+  assert.equal(summary.misses, 0);
+  assert.equal(summary.suggestions, 1);
+  assert.equal(summary.missRate, 0);
+  assert.deepEqual(summary.topFlowers, [{ flower: 'tulip', count: 1 }]);
+});
+
+test('a declined suggestion is one miss', () => {
+  const summary = summarizeEvents(events(
+    { type: 'suggest', heard: 'tulep', suggested: 'tulip', score: 0.7 },
+    { type: 'miss', heard: 'no', declined: 'tulip' }
+  ));
+  assert.equal(summary.matches, 0);
+  assert.equal(summary.misses, 1);
+  assert.equal(summary.missRate, 1);
+});
+
+test('an unanswered suggestion is a miss', () => {
+  const summary = summarizeEvents(events(
+    { type: 'face-acquired', viewer: 0 },
+    { type: 'suggest', heard: 'tulep', suggested: 'tulip', score: 0.7 },
+    { type: 'suggest', heard: 'roz', suggested: 'rose', score: 0.65 },
+    { type: 'face-lost', viewer: 0 }
+  ));
+  assert.equal(summary.misses, 2);
+  assert.equal(summary.suggestions, 2);
+});
+
+test('a language switch is neither a match nor a miss', () => {
+  const summary = summarizeEvents(events(
+    { type: 'locale', locale: 'de' },
+    { type: 'match', command: 'next' },
+    { type: 'miss', reason: 'timeout' }
+  ));
+  assert.equal(summary.matches, 1);
+  assert.equal(summary.misses, 1);
+  assert.equal(summary.missRate, 0.5);
+});
@@ -0,0 +1,189 @@
+/*
+Interaction Checks - Every transition of the state machine, on a stepped clock
+
+Follows the transitions listed at the top of interaction.js. The clock only
+moves when a check calls step(), so timeouts are exact.
+
+Usage:
+  node --test tools/checks/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { INTERACTION_TIMING, createInteractionController } = require('../../interaction.js');
+
+const TIMING = INTERACTION_TIMING;
+
+// Controller on a clock that starts at 0; step(ms, facts) moves it, then updates
+function setup(options = {}) {
+  let now = 0;
+  const calls = [];
+  let listenAllowed = true;
+  const controller = createInteractionController({
+    clock: () => now,
+    canListen: () => listenAllowed,
+    ...options,
+    hooks: {
+      startListening: () => calls.push('start'),
+      stopListening: () => calls.push('stop'),
+      stateChange: (state, previous, detail) => calls.push({ state, previous, detail })
+    }
+  });
+  return {
+    controller,
+    calls,
+    step(ms, facts = {}) {
+      now += ms;
+      controller.update(facts);
+      return controller.state;
+    },
+    allowListening(allowed) { listenAllowed = allowed; },
+    // Camera ready, face in view, mouth open long enough: listening
+    listen() {
+      this.step(0, { cameraReady: true, faceVisible: true, mouthOpen: false });
+      this.step(0, { mouthOpen: true });
+      return this.step(TIMING.mouthOpenHoldMs);
+    }
+  };
+}
+
+test('no-camera -> no-face -> idle', () => {
+  const machine = setup();
+  assert.equal(machine.controller.state, 'no-camera');
+  assert.equal(machine.step(16, { cameraReady: true, faceVisible: false }), 'no-face');
+  assert.equal(machine.step(16, { faceVisible: true }), 'idle');
+});
+
+test('idle -> listening once the mouth stayed open for mouthOpenHoldMs', () => {
+  const machine = setup();
+  machine.step(0, { cameraReady: true, faceVisible: true });
+  machine.step(0, { mouthOpen: true });
+  assert.equal(machine.step(TIMING.mouthOpenHoldMs - 1), 'idle');
+  assert.equal(machine.step(1), 'listening');
+  assert.ok(machine.calls.includes('start'));
+});
+
+test('a hold on the screen works like an open mouth, without a face', () => {
+  const machine = setup();
+  machine.step(0, { holding: true });
+  assert.equal(machine.controller.state, 'idle');
+  assert.equal(machine.step(TIMING.mouthOpenHoldMs, { holding: true }), 'listening');
+});
+
+test('idle stays idle while canListen() is false', () => {
+  const machine = setup();
+  machine.allowListening(false);
+  assert.equal(machine.listen(), 'idle');
+  assert.equal(machine.step(5000), 'idle');
+  machine.allowListening(true);
+  assert.equal(machine.step(16), 'listening');
+});
+
+test('listening -> recognized | missed on a speech result', () => {
+  const heard = setup();
+  heard.listen();
+  assert.equal(heard.controller.dispatch('speech-result', { matched: true }), true);
+  assert.equal(heard.controller.state, 'recognized');
+  assert.ok(heard.calls.includes('stop'));
+
+  const unknown = setup();
+  unknown.listen();
+  unknown.controller.dispatch('speech-result', { matched: false });
+  assert.equal(unknown.controller.state, 'missed');
+});
+
+test('listening -> missed after listenTimeoutMs', () => {
+  const machine = setup();
+  machine.listen();
+  assert.equal(machine.step(TIMING.listenTimeoutMs - 1), 'listening');
+  assert.equal(machine.step(1), 'missed');
+  assert.deepEqual(machine.calls.at(-1), { state: 'missed', previous: 'listening', detail: { reason: 'timeout' } });
+});
+
+test('listening -> missed on speech-end', () => {
+  const machine = setup();
+  machine.listen();
+  assert.equal(machine.controller.dispatch('speech-end'), true);
+  assert.equal(machine.controller.state, 'missed');
+  assert.deepEqual(machine.calls.at(-1).detail, { reason: 'no-result' });
+});
+
+test('listening -> missed on speech-error, without waiting for the timeout', () => {
+  const machine = setup();
+  machine.listen();
+  assert.equal(machine.controller.dispatch('speech-error', { error: 'network' }), true);
+  assert.equal(machine.controller.state, 'missed');
+  assert.deepEqual(machine.calls.at(-1).detail, { reason: 'error', error: 'network' });
+});
+
+test('speech events outside listening are ignored', () => {
+  const machine = setup();
+  machine.step(0, { cameraReady: true, faceVisible: true });
+  assert.equal(machine.controller.dispatch('speech-result', { matched: true }), false);
+  assert.equal(machine.controller.dispatch('speech-end'), false);
+  assert.equal(machine.controller.dispatch('speech-error', { error: 'network' }), false);
+  assert.equal(machine.controller.state, 'idle');
+});
+
+test('recognized -> cooldown -> idle once the mouth stays closed', () => {
+  const machine = setup();
+  machine.listen();
+  machine.controller.dispatch('speech-result', { matched: true });
+  // Still open: the result stays on screen
+  assert.equal(machine.step(TIMING.resultHoldMs * 3), 'recognized');
+  assert.equal(machine.step(16, { mouthOpen: false }), 'cooldown');
+  assert.equal(machine.step(TIMING.cooldownMs - 1), 'cooldown');
+  assert.equal(machine.step(1), 'idle');
+});
+
+test('missed -> cooldown waits for resultHoldMs', () => {
+  const machine = setup();
+  machine.listen();
+  machine.step(0, { mouthOpen: false });
+  machine.controller.dispatch('speech-end');
+  assert.equal(machine.step(TIMING.resultHoldMs - 1), 'missed');
+  assert.equal(machine.step(1), 'cooldown');
+});
+
+test('cooldown restarts when the mouth opens again', () => {
+  const machine = setup();
+  machine.listen();
+  machine.controller.dispatch('speech-result', { matched: true });
+  machine.step(TIMING.resultHoldMs, { mouthOpen: false });
+  assert.equal(machine.controller.state, 'cooldown');
+  machine.step(TIMING.cooldownMs - 100, { mouthOpen: true });
+  assert.equal(machine.step(100, { mouthOpen: false }), 'cooldown');
+  assert.equal(machine.step(TIMING.cooldownMs), 'idle');
+});
+
+test('face lost -> no-face, camera lost -> no-camera, from any state', () => {
+  const machine = setup();
+  machine.listen();
+  assert.equal(machine.step(16, { faceVisible: false }), 'no-face');
+  assert.ok(machine.calls.includes('stop'));
+  assert.equal(machine.step(16, { cameraReady: false }), 'no-camera');
+});
+
+test('manual input keeps a visitor present until manualPresenceMs runs out', () => {
+  const machine = setup();
+  machine.step(0, { cameraReady: false });
+  machine.controller.dispatch('manual-input');
+  assert.equal(machine.step(16), 'idle');
+  assert.equal(machine.step(TIMING.manualPresenceMs - 17), 'idle');
+  assert.equal(machine.step(1), 'no-camera');
+
+  const withCamera = setup();
+  withCamera.step(0, { cameraReady: true, faceVisible: false });
+  withCamera.controller.dispatch('manual-input');
+  assert.equal(withCamera.step(TIMING.manualPresenceMs - 1), 'idle');
+  assert.equal(withCamera.step(1), 'no-face');
+});
+
+test('gestures only run outside listening', () => {
+  const machine = setup();
+  assert.equal(machine.controller.dispatch('gesture', { gesture: 'nod' }), false);
+  machine.listen();
+  assert.equal(machine.controller.dispatch('gesture', { gesture: 'nod' }), false);
+  machine.controller.dispatch('speech-result', { matched: true });
+  assert.equal(machine.controller.dispatch('gesture', { gesture: 'nod' }), true);
+});
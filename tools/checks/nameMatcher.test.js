@@ -0,0 +1,38 @@
+/*
+Name Matcher Checks - Sound-alikes only count for names of a similar length
+
+Usage:
+  node --test tools/checks/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rankFlowerMatches, scoreName, MATCH_ACCEPT_SCORE, MATCH_SUGGEST_SCORE } = require('../../nameMatcher.js');
+
+const names = [
+  ['lavender', 'lavandula', 'purple sage'],
+  ['morning glory', 'ipomoea', 'bindweed'],
+  ['peony'],
+  ['poppy']
+];
+
+const best = (transcript) => rankFlowerMatches([transcript], names)[0];
+
+test('sound-alikes of a similar length still match', () => {
+  assert.equal(best('pioney').name, 'peony');
+  assert.ok(best('pioney').score >= MATCH_SUGGEST_SCORE);
+  assert.ok(scoreName(['lavendar'], 'lavender') >= MATCH_ACCEPT_SCORE);
+});
+
+test('a short word gets no phonetic score from a longer name with the same start', () => {
+  assert.ok(scoreName(['purple'], 'purple sage') < 0.8);
+  assert.ok(scoreName(['morning'], 'morning glory') < MATCH_SUGGEST_SCORE);
+  assert.ok(scoreName(['bind'], 'bindweed') < MATCH_SUGGEST_SCORE);
+});
+
+test('the whole name still matches when it is said in full', () => {
+  assert.equal(best('purple sage').name, 'lavender');
+  assert.equal(best('purple sage').score, 1);
+  assert.equal(best('morning glories').name, 'morning glory');
+  assert.equal(best('morning glories').score, 1);
+});
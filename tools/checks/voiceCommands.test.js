@@ -0,0 +1,72 @@
+/*
+Voice Command Checks - parseVoiceCommand against spoken phrases
+
+Commands have to start what was said, and a negation cancels a filter, so
+ordinary sentences that happen to contain a command word stay flower lookups.
+
+Usage:
+  node --test tools/checks/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { LOCALES } = require('../../locales.js');
+const { parseVoiceCommand } = require('../../voiceCommands.js');
+
+const parse = (transcript, lang = 'en') => parseVoiceCommand(transcript, LOCALES[lang]);
+
+test('commands that start the transcript', () => {
+  assert.deepEqual(parse('next'), { type: 'next' });
+  assert.deepEqual(parse('next one please'), { type: 'next' });
+  assert.deepEqual(parse('please go back'), { type: 'back' });
+  assert.deepEqual(parse('ok stop'), { type: 'stopListening' });
+  assert.deepEqual(parse('stop talking'), { type: 'mute' });
+  assert.deepEqual(parse('surprise me'), { type: 'random' });
+  assert.deepEqual(parse('nächste blume', 'de'), { type: 'next' });
+  assert.deepEqual(parse('bitte zurück', 'de'), { type: 'back' });
+  assert.deepEqual(parse('не говори', 'bg'), { type: 'mute' });
+});
+
+test('command words inside a sentence are no command', () => {
+  assert.equal(parse("don't stop"), null);
+  assert.equal(parse('the last one please'), null);
+  assert.equal(parse('i said next to nothing'), null);
+  assert.equal(parse('das war nicht weiter schlimm', 'de'), null);
+});
+
+test('filters', () => {
+  const filter = (attribute, value) => ({ type: 'filter', attribute, value });
+  assert.deepEqual(parse('spring'), filter('seasons', 'spring'));
+  assert.deepEqual(parse('spring flowers'), filter('seasons', 'spring'));
+  assert.deepEqual(parse('i want fall flowers'), filter('seasons', 'autumn'));
+  assert.deepEqual(parse('show me something purple'), filter('colors', 'purple'));
+  assert.deepEqual(parse('flowers from asia'), filter('origins', 'asia'));
+  assert.deepEqual(parse('bitte zeig mir etwas blau', 'de'), filter('colors', 'blue'));
+  assert.deepEqual(parse('покажи ми нещо синьо', 'bg'), filter('colors', 'blue'));
+});
+
+test('a season mentioned in passing is no filter', () => {
+  assert.equal(parse('i saw this in the spring'), null);
+  assert.equal(parse('my garden in summer'), null);
+});
+
+test('negated filters', () => {
+  assert.equal(parse('not something purple'), null);
+  assert.equal(parse("i don't want red flowers"), null);
+  assert.equal(parse('keine gelben blumen', 'de'), null);
+  assert.equal(parse('без червени цветя', 'bg'), null);
+});
+
+test('no flower name reads as a command', () => {
+  const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '../../flowers.json'), 'utf8'));
+  for (const flower of manifest.flowers || manifest) {
+    for (const name of [flower.name, ...(flower.synonyms || [])]) {
+      assert.equal(parse(name), null, name);
+    }
+    for (const [lang, names] of Object.entries(flower.names || {})) {
+      for (const name of names) assert.equal(parse(name, lang), null, `${lang}: ${name}`);
+    }
+  }
+});
@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+/*
+Session Replay Runner - Headless regression checks
+
+Replays session files recorded with index.html?record=1 (see sessionReplay.js)
+against the sketch's own scripts in Node, without a browser, camera or
+microphone. The scripts listed in index.html run unchanged in a sandbox with
+a small headless stand-in for p5: drawing does nothing, images load from
+disk, and the clock advances a fixed step per frame. The session's "query"
+(URL parameters such as viewer=speaker or split=1) applies as in the browser.
+
+After the last event (plus --tail) the runner compares the session's
+"expect" section with what happened. Write it by hand from the scenario in
+the session's "description", so a replay checks what should happen rather
+than what happened when the file was made:
+- crtTVIndex: The flower on the TV at the end
+- prompts: Every prompt shown, in order, without repeats. A prompt is named by
+  its UI string key in locales.js ("openMouth", "listening", "didYouMean"),
+  or given as its text when no key matches.
+
+Usage:
+  node tools/replay.js <session.json>... [options]
+
+Options:
+  --update     Write what happened into each file's "expect" section
+  --fps <n>    Frames per second to simulate (default: 30)
+  --tail <ms>  Keep running this long after the last event (default: 2000)
+  --verbose    Show the sketch's console output
+
+Exits with 1 when a session does not match its expectations.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { validateSession } = require('../sessionReplay.js');
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const ROOT = path.join(__dirname, '..');
+const MAX_REPLAY_MS = 10 * 60 * 1000; // Stop runaway sessions
+
+// p5 functions that only draw; headless they do nothing
+const DRAWING_FUNCTIONS = [
+  'background', 'clear', 'push', 'pop', 'translate', 'rotate', 'rotateX', 'rotateY', 'rotateZ', 'scale',
+  'fill', 'noFill', 'stroke', 'noStroke', 'strokeWeight', 'tint', 'noTint', 'texture', 'textSize', 'textAlign',
+  'text', 'line', 'arc', 'circle', 'ellipse', 'rect', 'triangle', 'plane', 'box', 'model', 'image',
+  'normalMaterial', 'specularMaterial', 'shininess', 'lights', 'orbitControl', 'camera',
+  'shader', 'resetShader', 'applyMatrix', 'emissiveMaterial',
+  'lockGestures', 'enableCameraTap', 'enableSpeechTap', 'saveJSON'
+];
+
+// ==============================================
+// ARGUMENTS
+// ==============================================
+function parseArgs(argv) {
+  const options = { files: [], update: false, fps: 30, tail: 2000, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--update') options.update = true;
+    else if (arg === '--fps') options.fps = parseInt(argv[++i], 10);
+    else if (arg === '--tail') options.tail = parseInt(argv[++i], 10);
+    else if (arg === '--verbose') options.verbose = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else options.files.push(arg);
+  }
+
+  if (options.help) return options;
+  if (options.files.length === 0) throw new Error('Missing session file.');
+  if (!Number.isInteger(options.fps) || options.fps < 1) throw new Error('--fps must be a whole number above 0.');
+  if (!Number.isInteger(options.tail) || options.tail < 0) throw new Error('--tail must be a whole number of milliseconds.');
+  return options;
+}
+
+// ==============================================
+// HEADLESS P5 - Just enough for the sketch's logic
+// ==============================================
+// Local scripts in index.html order, so the runner loads what the page loads;
+// libraries (vendored or from CDNs) are stood in for below
+function sketchScripts() {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+    .map(match => match[1])
+    .filter(src => !/^https?:/.test(src) && !src.startsWith('vendor/'));
+}
+
+// Same generator as p5's randomSeed(), so replays pick the same random flowers
+function createRandom() {
+  let state = 0;
+  return {
+    seed(value) { state = value >>> 0; },
+    next() {
+      state = (1664525 * state + 1013904223) % 4294967296;
+      return state / 4294967296;
+    }
+  };
+}
+
+// Any method call works and returns the element; only what the sketch reads is real
+function createFakeElement() {
+  const elt = {
+    hidden: false,
+    textContent: '',
+    addEventListener() {},
+    focus() {},
+    blur() {},
+    querySelector() { return { textContent: '' }; }
+  };
+  const element = new Proxy({ elt }, {
+    get(target, name) {
+      if (name in target) return target[name];
+      return () => element;
+    }
+  });
+  return element;
+}
+
+// Graphics buffers measure text roughly, so messages wrap as they would in a browser
+function createFakeGraphics(width, height) {
+  let size = 12;
+  const graphics = {
+    width,
+    height,
+    textSize(value) { size = value; },
+    textWidth(text) { return String(text).length * size * 0.5; }
+  };
+  return new Proxy(graphics, {
+    get(target, name) {
+      if (name in target) return target[name];
+      return () => {};
+    }
+  });
+}
+
+function createSandbox(sessionPath, query, options) {
+  let now = 0;
+  const callbacks = [];   // Loader callbacks, run at the start of the next frame like in a browser
+  const random = createRandom();
+  random.seed(0);
+
+  const quietConsole = { log() {}, warn() {}, error() {}, info() {} };
+  const sandbox = {
+    console: options.verbose ? console : quietConsole,
+    URLSearchParams,
+    window: {
+      location: { search: `?replay=${encodeURIComponent(sessionPath)}${query ? `&${query}` : ''}` },
+      addEventListener() {}
+    },
+    document: { activeElement: null },
+    drawingContext: { canvas: {} },
+    Proxy,
+
+    // Constants
+    PI: Math.PI, TWO_PI: Math.PI * 2, WEBGL: 'webgl',
+    CENTER: 'center', LEFT: 'left', RIGHT: 'right', TOP: 'top', BOTTOM: 'bottom',
+    LEFT_ARROW: 37, UP_ARROW: 38, RIGHT_ARROW: 39, DOWN_ARROW: 40, ENTER: 13, ESCAPE: 27,
+    key: '', keyCode: 0, mouseX: 0, mouseY: 0, width: 100, height: 100,
+    windowWidth: 405, windowHeight: 720, // The portrait layout at scale 1, like recorded sessions
+
+    // Math
+    millis: () => now,
+    floor: Math.floor, abs: Math.abs, sqrt: Math.sqrt, atan2: Math.atan2, min: Math.min, max: Math.max,
+    dist: (x1, y1, x2, y2) => Math.hypot(x2 - x1, y2 - y1),
+    map: (value, start1, stop1, start2, stop2) => start2 + (stop2 - start2) * ((value - start1) / (stop1 - start1)),
+    random: (low, high) => {
+      if (Array.isArray(low)) return low[Math.floor(random.next() * low.length)];
+      if (low === undefined) return random.next();
+      if (high === undefined) return random.next() * low;
+      return low + random.next() * (high - low);
+    },
+    randomSeed: (seed) => random.seed(seed),
+
+    // Loading from disk, answered on the next frame
+    loadJSON: (file, onLoad, onError) => {
+      const fullPath = path.isAbsolute(file) ? file : path.join(ROOT, file);
+      callbacks.push(() => {
+        let data;
+        try {
+          data = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+        } catch (err) {
+          if (onError) onError(err);
+          return;
+        }
+        onLoad(data);
+      });
+      return {};
+    },
+    loadStrings: (file, onLoad, onError) => {
+      callbacks.push(() => {
+        let text;
+        try {
+          text = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        } catch (err) {
+          if (onError) onError(err);
+          return;
+        }
+        onLoad(text.split(/\r?\n/));
+      });
+      return [];
+    },
+    loadImage: (file, onLoad, onError) => {
+      const image = { width: 160, height: 130 };
+      callbacks.push(() => {
+        if (fs.existsSync(path.join(ROOT, file))) onLoad(image);
+        else if (onError) onError(new Error(`Missing ${file}`));
+      });
+      return image;
+    },
+    p5: { Geometry: class { constructor() { this.vertices = []; this.vertexNormals = []; this.uvs = []; this.faces = []; } } },
+    createVector: (x, y, z) => ({ x, y, z }),
+    createCanvas: (width, height) => Object.assign(sandbox, { width, height }),
+    resizeCanvas: (width, height) => Object.assign(sandbox, { width, height }),
+    pixelDensity: () => 1,
+    displayDensity: () => 1,
+    createGraphics: createFakeGraphics,
+    createShader: () => ({ setUniform() {} }),
+    createButton: createFakeElement,
+    createDiv: createFakeElement,
+    createInput: createFakeElement,
+    createImg: createFakeElement,
+    createSpan: createFakeElement,
+    createElement: createFakeElement
+  };
+  for (const name of DRAWING_FUNCTIONS) sandbox[name] = () => {};
+
+  const context = vm.createContext(sandbox);
+  return {
+    context,
+    run: (code) => vm.runInContext(code, context),
+    advance: (ms) => { now += ms; },
+    flush: () => callbacks.splice(0).forEach(callback => callback()),
+    get now() { return now; }
+  };
+}
+
+// ==============================================
+// REPLAY - One session
+// ==============================================
+function replaySession(file, session, options) {
+  const sessionPath = path.resolve(file);
+  const sandbox = createSandbox(sessionPath, session.query, options);
+  for (const script of sketchScripts()) {
+    const code = fs.readFileSync(path.join(ROOT, script), 'utf8');
+    vm.runInContext(code, sandbox.context, { filename: script });
+  }
+
+  const frameMs = 1000 / options.fps;
+  const prompts = [];
+  let finishedAt = null;
+
+  if (sandbox.run('typeof preload') === 'function') {
+    sandbox.run('preload()');
+    sandbox.flush();
+  }
+  sandbox.run('setup()');
+
+  while (sandbox.now < MAX_REPLAY_MS) {
+    sandbox.advance(frameMs);
+    sandbox.flush();
+    sandbox.run('draw()');
+
+    const message = sandbox.run('promptForState(interaction.state)');
+    const name = message.key || promptName(sandbox, message.text);
+    if (prompts[prompts.length - 1] !== name) prompts.push(name);
+
+    if (finishedAt === null && sandbox.run('isReplayFinished()')) finishedAt = sandbox.now;
+    if (finishedAt !== null && sandbox.now - finishedAt >= options.tail) break;
+  }
+
+  return { crtTVIndex: sandbox.run('crtTVIndex'), prompts };
+}
+
+// UI string key of a toast's text in the current locale, or the text itself
+function promptName(sandbox, text) {
+  const ui = sandbox.run('getLocale().ui');
+  for (const [key, template] of Object.entries(ui)) {
+    const pattern = template
+      .split(/\{\w+\}/)
+      .map(part => part.replace(/[.*+?^$()|[\]\\]/g, '\\$&'))
+      .join('[\\s\\S]*');
+    if (new RegExp(`^${pattern}$`).test(text)) return key;
+  }
+  return text.replace(/\s*\n\s*/g, ' ');
+}
+
+// ==============================================
+// CHECK - Compare with the session's expectations
+// ==============================================
+function compareResult(expect, result) {
+  const problems = [];
+  if (!expect) return ['No "expect" section (run with --update to add one)'];
+  if (expect.crtTVIndex !== undefined && expect.crtTVIndex !== result.crtTVIndex) {
+    problems.push(`crtTVIndex is ${result.crtTVIndex}, expected ${expect.crtTVIndex}`);
+  }
+  if (expect.prompts !== undefined && JSON.stringify(expect.prompts) !== JSON.stringify(result.prompts)) {
+    problems.push(`prompts were\n    ${result.prompts.join(' > ')}\n  expected\n    ${expect.prompts.join(' > ')}`);
+  }
+  return problems;
+}
+
+// One event per line keeps session files short and their diffs readable
+function formatSession(session) {
+  const { events, ...rest } = session;
+  const head = JSON.stringify(rest, null, 2).replace(/\n}$/, '');
+  const lines = events.map(event => `    ${JSON.stringify(event)}`);
+  return `${head},\n  "events": [\n${lines.join(',\n')}\n  ]\n}\n`;
+}
+
+// ==============================================
+// MAIN
+// ==============================================
+function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log('Usage: node tools/replay.js <session.json>... [--update] [--fps <n>] [--tail <ms>] [--verbose]');
+    return 0;
+  }
+
+  let failures = 0;
+  for (const file of options.files) {
+    const session = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateSession(session);
+    if (errors.length > 0) {
+      failures++;
+      console.error(`⚠️ ${file}`);
+      errors.forEach(error => console.error(`  ${error}`));
+      continue;
+    }
+    const result = replaySession(file, session, options);
+
+    if (options.update) {
+      session.expect = result;
+      fs.writeFileSync(file, formatSession(session));
+      console.log(`✅ ${file}: expectations updated (crtTVIndex ${result.crtTVIndex}, ${result.prompts.length} prompts)`);
+      continue;
+    }
+
+    const problems = compareResult(session.expect, result);
+    if (problems.length === 0) {
+      console.log(`✅ ${file}`);
+    } else {
+      failures++;
+      console.error(`⚠️ ${file}`);
+      if (session.description) console.error(`  ${session.description}`);
+      problems.forEach(problem => console.error(`  ${problem}`));
+    }
+  }
+  return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (err) {
+    console.error(`⚠️ ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { replaySession, compareResult };
@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/*
+Vendor Libraries - Offline CLI
+
+Downloads the libraries index.html would otherwise take from CDNs, and the
+FaceMesh model files ml5 would fetch at runtime, into vendor/, so the piece
+runs in venues without internet. vendor/ is committed; run this again after
+changing a version below (see offline.js, serviceWorker.js).
+
+- npm packages (VENDOR_PACKAGES): p5, ml5, p5-phone and the MediaPipe
+  FaceMesh files, from the npm registry at exact versions, checked against
+  the registry's integrity hash
+- Other files (VENDOR_URLS): p5.speech is only published on GitHub and comes
+  from jsDelivr's copy of its tagged release
+Until a library is in vendor/, index.html loads it from its CDN instead.
+
+Also writes vendor/vendored.js, which lists the files in vendor/
+(VENDORED_FILES) for index.html, the sketch and the service worker.
+
+Usage:
+  node tools/vendor.js [options]
+
+Options:
+  --force       Download files that are already in vendor/ again
+  --dry-run     List what would be downloaded without writing anything
+*/
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const ROOT = path.join(__dirname, '..');
+const VENDOR_DIR = path.join(ROOT, 'vendor');
+const REGISTRY = (process.env.npm_config_registry || 'https://registry.npmjs.org/').replace(/\/?$/, '/');
+
+// MediaPipe FaceMesh solution files, loaded by ml5 from solutionPath (see offline.js)
+const FACE_MESH_FILES = [
+  'face_mesh.binarypb',
+  'face_mesh.js',
+  'face_mesh_solution_packed_assets.data',
+  'face_mesh_solution_packed_assets_loader.js',
+  'face_mesh_solution_simd_wasm_bin.data',
+  'face_mesh_solution_simd_wasm_bin.js',
+  'face_mesh_solution_simd_wasm_bin.wasm',
+  'face_mesh_solution_wasm_bin.js',
+  'face_mesh_solution_wasm_bin.wasm'
+];
+
+// Package, exact version, file in the package -> file in vendor/.
+// ml5 1.4.0 depends on @mediapipe/face_mesh ^0.4.1633559619; keep them in step.
+const VENDOR_PACKAGES = [
+  { name: 'p5', version: '1.11.10', files: { 'lib/p5.min.js': 'p5.min.js' } },
+  { name: 'ml5', version: '1.4.0', files: { 'dist/ml5.min.js': 'ml5.min.js' } },
+  { name: 'p5-phone', version: '1.6.4', files: { 'dist/p5-phone.min.js': 'p5-phone.min.js' } },
+  {
+    name: '@mediapipe/face_mesh',
+    version: '0.4.1633559619',
+    files: Object.fromEntries(FACE_MESH_FILES.map(file => [file, `face_mesh/${file}`]))
+  }
+];
+
+// File in vendor/ -> URL; keep in step with the CDN addresses in index.html
+const VENDOR_URLS = {
+  'p5.speech.js': 'https://cdn.jsdelivr.net/gh/IDMNYU/p5.js-speech@0.0.3/lib/p5.speech.js'
+};
+
+// ==============================================
+// ARGUMENTS
+// ==============================================
+function parseArgs(argv) {
+  const options = { force: false, dryRun: false };
+
+  for (const arg of argv) {
+    if (arg === '--force') options.force = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+}
+
+// ==============================================
+// DOWNLOAD
+// ==============================================
+async function fetchBuffer(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Files of a package tarball by their path in the package
+async function fetchPackage(name, version) {
+  const metadata = JSON.parse(await fetchBuffer(`${REGISTRY}${name}/${version}`));
+  const tarball = await fetchBuffer(metadata.dist.tarball);
+
+  const [algorithm, expected] = metadata.dist.integrity.split('-');
+  const actual = crypto.createHash(algorithm).update(tarball).digest('base64');
+  if (actual !== expected) throw new Error(`${name}@${version} does not match its integrity hash`);
+
+  const files = {};
+  for (const [file, data] of Object.entries(untar(zlib.gunzipSync(tarball)))) {
+    files[file.replace(/^[^/]+\//, '')] = data; // Drop the "package/" folder
+  }
+  return files;
+}
+
+// Regular files of a tar archive; long names come in GNU ("L") or pax ("x") headers
+function untar(buffer) {
+  const files = {};
+  let longName = null;
+  for (let offset = 0; offset + 512 <= buffer.length;) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
+    const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0[\s\S]*$/, '');
+    const size = parseInt(field(124, 12).trim() || '0', 8);
+    const type = field(156, 1) || '0';
+    const prefix = field(345, 155);
+    const name = longName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+    const data = buffer.subarray(offset + 512, offset + 512 + size);
+    longName = null;
+
+    if (type === 'L') longName = data.toString('utf8').replace(/\0[\s\S]*$/, '');
+    else if (type === 'x') longName = (/(?:^|\n)\d+ path=([^\n]+)\n/.exec(data.toString('utf8')) || [])[1] || null;
+    else if (type === '0') files[name] = data;
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+function writeVendorFile(file, data) {
+  const target = path.join(VENDOR_DIR, file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, data);
+  console.log(`✅ vendor/${file} (${Math.round(data.length / 1024)} KB)`);
+}
+
+// vendor/vendored.js: a plain script, so the page and the service worker can both load it
+function writeVendoredList() {
+  const files = [];
+  const walk = (folder) => {
+    for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+      const file = path.join(folder, entry.name);
+      if (entry.isDirectory()) walk(file);
+      else if (entry.name !== 'vendored.js') files.push(path.relative(ROOT, file).split(path.sep).join('/'));
+    }
+  };
+  walk(VENDOR_DIR);
+  files.sort();
+
+  const list = files.map(file => `  '${file}'`).join(',\n');
+  const script = `// Written by tools/vendor.js; lists the files in vendor/ for offline use (see offline.js)
+var VENDORED_FILES = [
+${list}
+];
+`;
+  fs.writeFileSync(path.join(VENDOR_DIR, 'vendored.js'), script);
+  console.log(`Wrote vendor/vendored.js (${files.length} files).`);
+}
+
+// ==============================================
+// MAIN
+// ==============================================
+async function main(argv) {
+  const options = parseArgs(argv);
+  if (options.help) {
+    console.log('Usage: node tools/vendor.js [--force] [--dry-run]');
+    return 0;
+  }
+
+  const missing = (file) => options.force || !fs.existsSync(path.join(VENDOR_DIR, file));
+  let failures = 0;
+
+  for (const { name, version, files } of VENDOR_PACKAGES) {
+    const wanted = Object.entries(files).filter(([, file]) => missing(file));
+    if (wanted.length === 0) {
+      console.log(`✅ ${name}@${version} (already there)`);
+      continue;
+    }
+    if (options.dryRun) {
+      console.log(`Would download ${name}@${version} -> ${wanted.map(([, file]) => `vendor/${file}`).join(', ')}`);
+      continue;
+    }
+    try {
+      const contents = await fetchPackage(name, version);
+      for (const [source, file] of wanted) {
+        if (!contents[source]) throw new Error(`${name}@${version} has no ${source}`);
+        writeVendorFile(file, contents[source]);
+      }
+    } catch (err) {
+      failures++;
+      console.error(`⚠️ ${name}@${version}: ${err.message}`);
+    }
+  }
+
+  for (const [file, url] of Object.entries(VENDOR_URLS)) {
+    if (!missing(file)) {
+      console.log(`✅ vendor/${file} (already there)`);
+      continue;
+    }
+    if (options.dryRun) {
+      console.log(`Would download ${url} -> vendor/${file}`);
+      continue;
+    }
+    try {
+      writeVendorFile(file, await fetchBuffer(url));
+    } catch (err) {
+      failures++;
+      console.error(`⚠️ ${url}: ${err.message} (index.html keeps loading it from there)`);
+    }
+  }
+
+  if (!options.dryRun && fs.existsSync(VENDOR_DIR)) writeVendoredList();
+  return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+      console.error(`⚠️ ${err.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { VENDOR_PACKAGES, VENDOR_URLS, untar };
@@ -0,0 +1,338 @@
+/*
+TV Model - OBJ and MTL loading with a named screen
+
+Loads the TV from its OBJ file and the MTL materials it names, keeping the
+model's objects, groups and materials apart (p5's loadModel() merges them
+and ignores the MTL). Each part is drawn with its material: diffuse color
+(Kd), specular color (Ks), shininess (Ns), emission (Ke) and opacity (d). Ka
+is ignored; p5's ambient light uses the diffuse color. Parts without a
+material keep normalMaterial()'s rainbow look.
+
+The part whose object, group or material name matches screenPattern
+("Screen") is the screen. The flower is drawn onto its surface with the
+model's own texture coordinates, and the screen's frame - centered on it,
+x along its width, y down the picture, screenWidth units wide - places the
+prompt and label planes (see layout.js). A new TV model only needs a part
+named Screen with texture coordinates; no transforms to tune by hand.
+
+Like loadModel(path, true), the model is centered and scaled so its largest
+side is size units.
+
+Key Variables:
+- tvModel: The loaded TV, null until ready; { parts, screen, errors }
+
+Key Functions:
+- loadTVModel(path, onDone): Loads the OBJ, its MTL files and builds the model
+- parseObj(lines) / parseMtl(lines): OBJ and MTL text to plain data
+- screenFrame(triangles, screenWidth): Frame of the screen from its surface and texture coordinates
+- drawTVModel(tv): Draws every part but the screen, each with its material
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const TV_MODEL_SETTINGS = {
+  path: 'kurty.obj',
+  screenPattern: /screen/i,  // Object, group or material name of the screen
+  size: 200,                 // Largest side after loading, like loadModel(path, true)
+  screenWidth: 160           // Width of the screen frame; the screen's aspect ratio gives its height
+};
+
+let tvModel = null;
+
+// ==============================================
+// LOADING
+// ==============================================
+// onDone(model) runs once, also when loading failed (model.errors says why)
+function loadTVModel(path, onDone, settings = TV_MODEL_SETTINGS) {
+  const folder = path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+  const finish = (data, materials, errors) => {
+    const model = buildTVModel(data, materials, path, settings);
+    model.errors.unshift(...errors);
+    model.errors.forEach(error => console.log(`⚠️ TV model: ${error}`));
+    if (model.errors.length === 0) console.log(`✅ TV model: ${model.parts.length} parts and a screen from ${path}`);
+    onDone(model);
+  };
+
+  loadStrings(path, (lines) => {
+    const data = parseObj(lines);
+    const materials = {};
+    const errors = [];
+    let pending = data.materialLibraries.length;
+    if (pending === 0) finish(data, materials, errors);
+
+    for (const library of data.materialLibraries) {
+      loadStrings(folder + library, (mtlLines) => {
+        Object.assign(materials, parseMtl(mtlLines));
+        if (--pending === 0) finish(data, materials, errors);
+      }, () => {
+        errors.push(`could not load materials "${library}"`);
+        if (--pending === 0) finish(data, materials, errors);
+      });
+    }
+  }, () => {
+    onDone({ parts: [], screen: null, errors: [`could not load "${path}"`] });
+  });
+}
+
+// ==============================================
+// PARSING - OBJ and MTL text
+// ==============================================
+// Returns { materialLibraries, positions, uvs, normals, parts }; each part is
+// { object, group, material, faces } and each face a list of corners
+// { position, uv, normal } (indices into the lists, uv and normal -1 when missing)
+function parseObj(lines) {
+  const data = { materialLibraries: [], positions: [], uvs: [], normals: [], parts: [] };
+  let object = '';
+  let group = '';
+  let material = null;
+  let part = null;
+
+  // Negative indices count back from the latest entry
+  const index = (value, list) => {
+    if (!value) return -1;
+    const number = parseInt(value, 10);
+    return number < 0 ? list.length + number : number - 1;
+  };
+
+  for (const line of lines) {
+    const tokens = line.trim().split(/\s+/);
+    const values = tokens.slice(1);
+    switch (tokens[0]) {
+      case 'mtllib': data.materialLibraries.push(values.join(' ')); break;
+      case 'o': object = values.join(' '); part = null; break;
+      case 'g': group = values.join(' '); part = null; break;
+      case 'usemtl': material = values.join(' '); part = null; break;
+      case 'v': data.positions.push(values.slice(0, 3).map(Number)); break;
+      // p5 textures have v = 0 at the top, OBJ at the bottom
+      case 'vt': data.uvs.push([Number(values[0]), 1 - Number(values[1] || 0)]); break;
+      case 'vn': data.normals.push(values.slice(0, 3).map(Number)); break;
+      case 'f': {
+        if (!part) {
+          part = { object, group, material, faces: [] };
+          data.parts.push(part);
+        }
+        part.faces.push(values.map(corner => {
+          const [position, uv, normal] = corner.split('/');
+          return {
+            position: index(position, data.positions),
+            uv: index(uv, data.uvs),
+            normal: index(normal, data.normals)
+          };
+        }));
+        break;
+      }
+    }
+  }
+  data.parts = data.parts.filter(entry => entry.faces.length > 0);
+  return data;
+}
+
+// Returns { name: { diffuse, specular, emissive, shininess, opacity } }, colors 0-1
+function parseMtl(lines) {
+  const materials = {};
+  let current = null;
+  const color = values => values.slice(0, 3).map(Number);
+
+  for (const line of lines) {
+    const tokens = line.trim().split(/\s+/);
+    const values = tokens.slice(1);
+    if (tokens[0] === 'newmtl') {
+      current = { diffuse: [0.8, 0.8, 0.8], specular: [0, 0, 0], emissive: [0, 0, 0], shininess: 1, opacity: 1 };
+      materials[values.join(' ')] = current;
+      continue;
+    }
+    if (!current) continue;
+    switch (tokens[0]) {
+      case 'Kd': current.diffuse = color(values); break;
+      case 'Ks': current.specular = color(values); break;
+      case 'Ke': current.emissive = color(values); break;
+      case 'Ns': current.shininess = Math.max(1, Number(values[0])); break;
+      case 'd': current.opacity = Number(values[0]); break;
+      case 'Tr': current.opacity = 1 - Number(values[0]); break;
+    }
+  }
+  return materials;
+}
+
+// ==============================================
+// SCREEN FRAME - Where the screen is and which way is up
+// ==============================================
+const vector3 = {
+  sub: (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]],
+  add: (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]],
+  scale: (a, s) => [a[0] * s, a[1] * s, a[2] * s],
+  dot: (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2],
+  cross: (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]],
+  normalize: (a) => {
+    const length = Math.hypot(a[0], a[1], a[2]);
+    return length > 0 ? vector3.scale(a, 1 / length) : null;
+  }
+};
+
+// triangles: [[{ position: [x, y, z], uv: [u, v] } x3], ...] on the screen surface.
+// Returns { origin, right, down, out, width, height, unit } or null: right and down
+// follow the texture's u and v, out = right x down, origin is the screen's center and
+// unit the model length of one frame unit (the screen is screenWidth units wide)
+function screenFrame(triangles, screenWidth) {
+  // Texture direction of each triangle, summed over the surface
+  let tangent = [0, 0, 0];
+  let bitangent = [0, 0, 0];
+  for (const [a, b, c] of triangles) {
+    const edge1 = vector3.sub(b.position, a.position);
+    const edge2 = vector3.sub(c.position, a.position);
+    const du1 = b.uv[0] - a.uv[0], dv1 = b.uv[1] - a.uv[1];
+    const du2 = c.uv[0] - a.uv[0], dv2 = c.uv[1] - a.uv[1];
+    const determinant = du1 * dv2 - du2 * dv1;
+    if (determinant === 0) continue;
+    tangent = vector3.add(tangent, vector3.scale(vector3.sub(vector3.scale(edge1, dv2), vector3.scale(edge2, dv1)), 1 / determinant));
+    bitangent = vector3.add(bitangent, vector3.scale(vector3.sub(vector3.scale(edge2, du1), vector3.scale(edge1, du2)), 1 / determinant));
+  }
+
+  const right = vector3.normalize(tangent);
+  if (!right) return null;
+  const down = vector3.normalize(vector3.sub(bitangent, vector3.scale(right, vector3.dot(bitangent, right))));
+  if (!down) return null;
+  const out = vector3.cross(right, down);
+
+  // Extent along right and down
+  const points = triangles.flat().map(corner => corner.position);
+  const along = axis => points.map(point => vector3.dot(point, axis));
+  const xs = along(right), ys = along(down), zs = along(out);
+  const width = Math.max(...xs) - Math.min(...xs);
+  const height = Math.max(...ys) - Math.min(...ys);
+  if (width === 0 || height === 0) return null;
+
+  const middle = values => (Math.max(...values) + Math.min(...values)) / 2;
+  const origin = vector3.add(vector3.add(vector3.scale(right, middle(xs)), vector3.scale(down, middle(ys))), vector3.scale(out, middle(zs)));
+  return { origin, right, down, out, width, height, unit: width / screenWidth };
+}
+
+// Model coordinates to frame coordinates
+function toScreenFrame(point, frame) {
+  const offset = vector3.sub(point, frame.origin);
+  return [vector3.dot(offset, frame.right), vector3.dot(offset, frame.down), vector3.dot(offset, frame.out)]
+    .map(value => value / frame.unit);
+}
+
+// ==============================================
+// BUILDING - p5 geometry per part
+// ==============================================
+function buildTVModel(data, materials, path, settings = TV_MODEL_SETTINGS) {
+  const errors = [];
+  const normalize = normalizer(data.positions, settings.size);
+  const isScreen = part => [part.object, part.group, part.material].some(name => name && settings.screenPattern.test(name));
+
+  const model = { parts: [], screen: null, errors };
+  data.parts.forEach((part, i) => {
+    const material = part.material ? materials[part.material] || null : null;
+    if (part.material && !material) errors.push(`material "${part.material}" is not in the MTL file`);
+    const triangles = triangulate(part, data, normalize);
+
+    if (isScreen(part) && !model.screen) {
+      if (triangles.some(triangle => triangle.some(corner => !corner.uv))) {
+        errors.push(`screen "${part.object || part.group}" has no texture coordinates`);
+        return;
+      }
+      const frame = screenFrame(triangles, settings.screenWidth);
+      if (!frame) {
+        errors.push(`screen "${part.object || part.group}" is flat or has no usable texture coordinates`);
+        return;
+      }
+      // The screen is built in its own frame, where the sketch draws it
+      const inFrame = triangles.map(triangle => triangle.map(corner => ({
+        ...corner,
+        position: toScreenFrame(corner.position, frame),
+        normal: [0, 0, 1]
+      })));
+      model.screen = {
+        geometry: createPartGeometry(inFrame, `${path}#screen`),
+        material,
+        frame,
+        width: settings.screenWidth,
+        height: frame.height / frame.unit
+      };
+      return;
+    }
+    model.parts.push({ name: part.object || part.group || `part ${i + 1}`, material, geometry: createPartGeometry(triangles, `${path}#${i}`) });
+  });
+
+  if (!model.screen) errors.push(`no part named like ${settings.screenPattern} to show the flowers on`);
+  return model;
+}
+
+// Center the model and scale its largest side to size
+function normalizer(positions, size) {
+  if (positions.length === 0) return point => point;
+  const min = [0, 1, 2].map(axis => Math.min(...positions.map(point => point[axis])));
+  const max = [0, 1, 2].map(axis => Math.max(...positions.map(point => point[axis])));
+  const center = [0, 1, 2].map(axis => (min[axis] + max[axis]) / 2);
+  const extent = Math.max(...[0, 1, 2].map(axis => max[axis] - min[axis])) || 1;
+  return point => vector3.scale(vector3.sub(point, center), size / extent);
+}
+
+// Faces to triangles (fans) of { position, uv, normal }; uv null without texture coordinates
+function triangulate(part, data, normalize) {
+  const triangles = [];
+  for (const face of part.faces) {
+    const corners = face.map(corner => ({
+      position: normalize(data.positions[corner.position]),
+      uv: corner.uv >= 0 ? data.uvs[corner.uv] : null,
+      normal: corner.normal >= 0 ? data.normals[corner.normal] : null
+    }));
+    for (let i = 1; i < corners.length - 1; i++) {
+      const triangle = [corners[0], corners[i], corners[i + 1]];
+      // Flat normal where the file has none
+      const flat = vector3.normalize(vector3.cross(
+        vector3.sub(triangle[1].position, triangle[0].position),
+        vector3.sub(triangle[2].position, triangle[0].position)
+      )) || [0, 0, 1];
+      triangles.push(triangle.map(corner => ({ ...corner, normal: corner.normal || flat })));
+    }
+  }
+  return triangles;
+}
+
+// id: unique per geometry, p5 caches GPU buffers by it
+function createPartGeometry(triangles, id) {
+  const geometry = new p5.Geometry();
+  geometry.gid = id;
+  for (const triangle of triangles) {
+    const first = geometry.vertices.length;
+    for (const corner of triangle) {
+      geometry.vertices.push(createVector(...corner.position));
+      geometry.vertexNormals.push(createVector(...corner.normal));
+      geometry.uvs.push(...(corner.uv || [0, 0]));
+    }
+    geometry.faces.push([first, first + 1, first + 2]);
+  }
+  return geometry;
+}
+
+// ==============================================
+// DRAWING
+// ==============================================
+// Every part but the screen; call lights() first
+function drawTVModel(tv) {
+  for (const part of tv.parts) {
+    applyTVMaterial(part.material);
+    model(part.geometry);
+  }
+}
+
+function applyTVMaterial(material) {
+  if (!material) {
+    normalMaterial();
+    return;
+  }
+  const to255 = color => color.map(value => value * 255);
+  fill(...to255(material.diffuse), material.opacity * 255);
+  specularMaterial(...to255(material.specular));
+  emissiveMaterial(...to255(material.emissive));
+  shininess(material.shininess);
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TV_MODEL_SETTINGS, parseObj, parseMtl, screenFrame, toScreenFrame };
+}
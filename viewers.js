@@ -0,0 +1,218 @@
+/*
+Viewers - Which of several tracked faces is in control
+
+FaceMesh reports faces in no particular order, so "face 0" can be a different
+person from one detection to the next. The tracker follows each face over
+time by its position (a stable viewer id per person) and keeps one active
+viewer whose face drives the TV, the mouth and the gestures.
+
+Active viewer policies (?viewer=largest|first|speaker):
+- largest: The biggest face, usually the closest visitor (default)
+- first: Whoever arrived first keeps control until they leave
+- speaker: Whoever opened their mouth last
+
+Handover rules:
+- Never while the active viewer is talking or seeing their result (locked)
+- A briefly lost face keeps its id and its control for forgetMs
+- largest: A challenger must be largerBy wider for handoverMs
+- speaker: A challenger must hold their mouth open for claimMs
+
+Split mode (?split=1): Up to splitViewers visitors each get their own TV and
+flower channel, side by side. The one who opens their mouth takes control of
+the microphone and gestures for their own TV (the speaker policy).
+
+Key Variables:
+- viewerSettings: Current settings, including URL parameters
+
+Key Functions:
+- createViewerTracker(options): Tracker; tracker.update(summaries, { locked }) each detection
+- readViewerSettings(): VIEWER_SETTINGS with ?viewer= and ?split= applied
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const VIEWER_POLICIES = ['largest', 'first', 'speaker'];
+
+const VIEWER_SETTINGS = {
+  maxFaces: 4,          // Faces FaceMesh looks for
+  policy: 'largest',
+  matchDistance: 0.6,   // A face within this many face widths of a viewer's last place is that viewer
+  forgetMs: 1000,       // Viewers missing this long have left
+  handoverMs: 1000,     // largest: how long a challenger must be bigger
+  largerBy: 1.25,       // largest: how much wider a challenger's face must be
+  claimMs: 300,         // speaker: how long a challenger must hold their mouth open
+  split: false,
+  splitViewers: 2       // TVs side by side in split mode
+};
+
+let viewerSettings = readViewerSettings();
+
+// ==============================================
+// TRACKER - Stable ids and the active viewer
+// ==============================================
+// options.clock(): Current time in ms (default Date.now)
+// options.settings: Overrides for VIEWER_SETTINGS
+//
+// summaries: one per detected face, in FaceMesh order:
+// { center: { x, y }, width, mouthOpen }
+// update() returns { viewers, active, removed, changed }; each viewer is
+// { id, faceIndex, center, width, present, firstSeen, lastSeen, claimTime }
+function createViewerTracker(options = {}) {
+  const clock = options.clock || (() => Date.now());
+  const settings = { ...VIEWER_SETTINGS, ...(options.settings || {}) };
+  const policy = settings.split ? 'speaker' : settings.policy;
+
+  let viewers = [];
+  let nextId = 1;
+  let activeId = null;
+  let challenger = null;      // { id, since } while someone is about to take over
+
+  function update(summaries, context = {}) {
+    const now = clock();
+    match(summaries, now);
+
+    // Gone for good
+    const removed = viewers.filter(viewer => !viewer.present && now - viewer.lastSeen > settings.forgetMs);
+    viewers = viewers.filter(viewer => !removed.includes(viewer));
+
+    const previousId = activeId;
+    chooseActive(now, Boolean(context.locked));
+    return {
+      viewers,
+      active: find(activeId),
+      removed: removed.map(viewer => viewer.id),
+      changed: activeId !== previousId
+    };
+  }
+
+  // Pairs faces and viewers closest first, so two visitors passing each other keep their ids
+  function match(summaries, now) {
+    const pairs = [];
+    summaries.forEach((summary, faceIndex) => {
+      for (const viewer of viewers) {
+        const distance = Math.hypot(summary.center.x - viewer.center.x, summary.center.y - viewer.center.y);
+        const relative = distance / Math.max(summary.width, viewer.width, 1);
+        if (relative <= settings.matchDistance) pairs.push({ faceIndex, viewer, relative });
+      }
+    });
+    pairs.sort((a, b) => a.relative - b.relative);
+
+    const matched = new Map(); // faceIndex -> viewer
+    for (const viewer of viewers) viewer.present = false;
+    for (const pair of pairs) {
+      if (matched.has(pair.faceIndex) || pair.viewer.present) continue;
+      pair.viewer.present = true;
+      matched.set(pair.faceIndex, pair.viewer);
+    }
+
+    summaries.forEach((summary, faceIndex) => {
+      let viewer = matched.get(faceIndex);
+      if (!viewer) {
+        viewer = { id: nextId++, firstSeen: now, claimTime: -Infinity, mouthOpenSince: null, present: true };
+        viewers.push(viewer);
+      }
+      viewer.faceIndex = faceIndex;
+      viewer.center = summary.center;
+      viewer.width = summary.width;
+      viewer.lastSeen = now;
+
+      // A mouth held open claims control (speaker policy)
+      if (!summary.mouthOpen) {
+        viewer.mouthOpenSince = null;
+      } else if (viewer.mouthOpenSince === null) {
+        viewer.mouthOpenSince = now;
+      } else if (now - viewer.mouthOpenSince >= settings.claimMs && viewer.claimTime < viewer.mouthOpenSince) {
+        viewer.claimTime = now;
+      }
+    });
+    for (const viewer of viewers) {
+      if (!viewer.present) viewer.faceIndex = -1;
+    }
+  }
+
+  function chooseActive(now, locked) {
+    const active = find(activeId);
+    const present = viewers.filter(viewer => viewer.present);
+
+    if (!active) {
+      // Nobody in control (or they left): the policy's favorite takes over right away
+      const next = preferred(present);
+      activeId = next ? next.id : null;
+      challenger = null;
+      return;
+    }
+    if (locked || !active.present) {
+      challenger = null;
+      return;
+    }
+
+    const next = preferred(present);
+    if (!next || next === active || !outranks(next, active)) {
+      challenger = null;
+      return;
+    }
+    if (policy === 'speaker') {
+      activeId = next.id; // The claim already took claimMs
+      challenger = null;
+      return;
+    }
+    if (!challenger || challenger.id !== next.id) challenger = { id: next.id, since: now };
+    if (now - challenger.since >= settings.handoverMs) {
+      activeId = next.id;
+      challenger = null;
+    }
+  }
+
+  function preferred(present) {
+    if (present.length === 0) return null;
+    const byPolicy = {
+      largest: (a, b) => b.width - a.width,
+      first: (a, b) => a.firstSeen - b.firstSeen,
+      // Latest claim first; without claims the biggest face
+      speaker: (a, b) => (b.claimTime - a.claimTime) || (b.width - a.width)
+    };
+    return [...present].sort(byPolicy[policy])[0];
+  }
+
+  // Whether a challenger beats the active viewer by enough to take over
+  function outranks(challenger, active) {
+    switch (policy) {
+      case 'largest': return challenger.width > active.width * settings.largerBy;
+      case 'speaker': return challenger.claimTime > active.claimTime;
+      default: return false; // first: whoever came first stays
+    }
+  }
+
+  function find(id) {
+    return viewers.find(viewer => viewer.id === id) || null;
+  }
+
+  function reset() {
+    viewers = [];
+    activeId = null;
+    challenger = null;
+  }
+
+  return { update, reset, settings, policy };
+}
+
+// ==============================================
+// URL PARAMETERS
+// ==============================================
+// ?viewer=largest|first|speaker, ?split=1
+function readViewerSettings() {
+  const settings = { ...VIEWER_SETTINGS };
+  if (typeof window === 'undefined' || !window.location) return settings;
+  const params = new URLSearchParams(window.location.search);
+  const policy = params.get('viewer');
+  if (VIEWER_POLICIES.includes(policy)) settings.policy = policy;
+  else if (policy) console.log(`⚠️ Unknown viewer policy "${policy}" (known: ${VIEWER_POLICIES.join(', ')})`);
+  if (params.has('split')) settings.split = params.get('split') !== '0';
+  return settings;
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { VIEWER_POLICIES, VIEWER_SETTINGS, createViewerTracker, readViewerSettings };
+}
@@ -0,0 +1,148 @@
+/*
+Viewing History - Flowers seen and favorites, kept across page reloads
+
+Logs every flower shown with how the visitor got there, and keeps their
+favorites, both in localStorage, so a reload continues with the last flower
+and "go back" still works. The picker lists both (see manualControls.js).
+
+How a flower was reached (HISTORY_HOW):
+- voice, typed: A spoken or typed name, color or command
+- gesture: A nod, shake or other gesture
+- keyboard, touch: Arrow keys, swipes
+- picker: Tapped in the flower picker
+- random: Chosen at random (nothing understood, "random")
+- back: "go back"
+- favorites: "show my favorites" and browsing them
+
+Entries are { id, how, time } with the flower's id from flowers.json and
+time in ms since 1970, most recent last. Without localStorage (private mode,
+Node) or with options.storage null everything still works for the page's
+lifetime.
+
+Key Functions:
+- createViewingHistory(options): history.record(id, how), history.entries(), history.recentIds(count),
+  history.isFavorite(id), history.setFavorite(id, on), history.favoriteIds(), history.clear()
+- pickRandomIndex(count, avoid, randomValue): Random index outside avoid while there is one
+- defaultStorage(): localStorage, or null where the browser blocks it
+*/
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const VIEWING_HISTORY_SETTINGS = {
+  historyKey: 'crtTV.history',
+  favoritesKey: 'crtTV.favorites',
+  maxEntries: 200,     // Oldest entries are dropped beyond this
+  avoidRecent: 5       // Random picks skip this many most recently shown flowers
+};
+
+// How a flower was reached -> mark in the picker's "seen" list
+const HISTORY_HOW = {
+  voice: '🎤', typed: '⌨', gesture: '🙂', keyboard: '⌨', touch: '👆',
+  picker: '✿', random: '🎲', back: '↩', favorites: '★'
+};
+
+// ==============================================
+// HISTORY
+// ==============================================
+// options.clock(): Current time in ms (default Date.now)
+// options.storage: Storage to keep the history in (default localStorage, null for none)
+// options.settings: Overrides for VIEWING_HISTORY_SETTINGS
+function createViewingHistory(options = {}) {
+  const clock = options.clock || (() => Date.now());
+  const settings = { ...VIEWING_HISTORY_SETTINGS, ...(options.settings || {}) };
+  const storage = options.storage !== undefined ? options.storage : defaultStorage();
+
+  let log = readList(settings.historyKey)
+    .filter(entry => entry && typeof entry.id === 'string' && HISTORY_HOW[entry.how] && Number.isFinite(entry.time));
+  let favorites = readList(settings.favoritesKey).filter(id => typeof id === 'string');
+
+  function record(id, how) {
+    log.push({ id, how: HISTORY_HOW[how] ? how : 'picker', time: clock() });
+    if (log.length > settings.maxEntries) log = log.slice(-settings.maxEntries);
+    write(settings.historyKey, log);
+  }
+
+  // Distinct ids, most recent first
+  function recentIds(count = Infinity) {
+    const ids = [];
+    for (let i = log.length - 1; i >= 0 && ids.length < count; i--) {
+      if (!ids.includes(log[i].id)) ids.push(log[i].id);
+    }
+    return ids;
+  }
+
+  function isFavorite(id) {
+    return favorites.includes(id);
+  }
+
+  // Returns true if that changed anything
+  function setFavorite(id, on) {
+    if (on === isFavorite(id)) return false;
+    favorites = on ? [...favorites, id] : favorites.filter(favorite => favorite !== id);
+    write(settings.favoritesKey, favorites);
+    return true;
+  }
+
+  function clear() {
+    log = [];
+    favorites = [];
+    write(settings.historyKey, log);
+    write(settings.favoritesKey, favorites);
+  }
+
+  function readList(key) {
+    try {
+      const stored = storage ? JSON.parse(storage.getItem(key)) : null;
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return []; // Damaged entry: start over
+    }
+  }
+
+  function write(key, value) {
+    if (!storage) return;
+    try {
+      storage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.log('⚠️ Could not store the viewing history');
+    }
+  }
+
+  return {
+    record,
+    entries: () => log.map(entry => ({ ...entry })),
+    recentIds,
+    isFavorite,
+    setFavorite,
+    favoriteIds: () => [...favorites],
+    clear
+  };
+}
+
+// localStorage if the browser lets us use it
+function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (error) {
+    return null; // Blocked (private mode, storage disabled)
+  }
+}
+
+// ==============================================
+// RANDOM - Without repeating recent flowers
+// ==============================================
+// avoid: Set of indices to skip while others are left; randomValue: 0 to 1
+function pickRandomIndex(count, avoid, randomValue) {
+  let candidates = [];
+  for (let i = 0; i < count; i++) {
+    if (!avoid.has(i)) candidates.push(i);
+  }
+  if (candidates.length === 0) candidates = [...Array(count).keys()];
+  return candidates[Math.min(candidates.length - 1, Math.floor(randomValue * candidates.length))];
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { VIEWING_HISTORY_SETTINGS, HISTORY_HOW, createViewingHistory, pickRandomIndex, defaultStorage };
+}
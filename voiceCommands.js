@@ -0,0 +1,147 @@
+/*
+Voice Commands - Small spoken command grammar
+
+Recognizes browsing commands in a transcript, separately from flower name
+lookup. showResult() asks for a command first and only looks for a flower
+name when no command was spoken.
+
+Commands (phrases per locale live in locales.js under "commands"):
+- next / previous: Step through the flowers
+- random: Jump to a random flower
+- back: Return to the flower shown before
+- filter: Flowers with an attribute from flowers.json (FILTER_ATTRIBUTES):
+  "show me something purple", "spring flowers", "flowers from Asia"
+- whatIsThis: Name the flower on screen
+- repeat: Show the last message again
+- stopListening: Pause mouth-activated listening for a while
+- mute / unmute: Switch the narrator off and on
+- favorite: "I like this one", adds the flower on screen to the favorites
+- favorites: "show my favorites"; next / previous then step through them
+
+Phrases are matched as whole words, after dropping filler words ("please",
+"ok", "can you show me") at the start of the transcript. Commands must start
+the transcript, so "next one please" is a command but "the last one" or
+"don't stop" are not. Filter phrases contain a slot like {color} that matches
+any word of the locale for that attribute, including inflected forms
+("blaue Blumen", "нещо синьо"). They may come anywhere ("show me something
+purple") unless a negation comes before them ("not something purple"); a
+phrase that is only a slot, like "{season}", must start the transcript too,
+so "spring flowers" filters but "I saw this in the spring" does not.
+
+Key Functions:
+- parseVoiceCommand(transcript, locale): { type, attribute?, value? } or null
+- findFlowersWith(flowers, attribute, value): Indices of flowers that have the value
+- attributeWord(attribute, value, locale): Displayed word for a color, season or region id
+*/
+
+// In Node, load the helpers the browser gets as globals from nameMatcher.js
+if (typeof module !== 'undefined' && module.exports) {
+  var { normalizeText, isNegative } = require('./nameMatcher.js');
+}
+
+// ==============================================
+// SETTINGS
+// ==============================================
+const SLOT_WORD_EXTRA_LETTERS = 2; // "blau" also matches "blaue", "blaues"
+// Manifest lists visitors can ask for -> slot in the phrases, locale words and phrases
+const FILTER_ATTRIBUTES = {
+  colors: { slot: 'color', words: 'colors', phrases: 'colorPhrases' },
+  seasons: { slot: 'season', words: 'seasons', phrases: 'seasonPhrases' },
+  origins: { slot: 'origin', words: 'origins', phrases: 'originPhrases' }
+};
+// Longer phrases that contain another command's words come first ("stop talking" before "stop")
+const COMMAND_ORDER = [
+  'mute', 'unmute', 'stopListening', 'whatIsThis', 'repeat', 'favorites', 'favorite', 'back', 'previous', 'next', 'random'
+];
+
+// ==============================================
+// PARSE - Find a command in a transcript
+// ==============================================
+// locale: entry of LOCALES with "commands", "fillerWords", "negationWords" and
+// the words and phrases of FILTER_ATTRIBUTES
+function parseVoiceCommand(transcript, locale) {
+  const words = dropLeadingFillers(normalizeText(transcript).split(' ').filter(word => word), locale.fillerWords);
+  if (words.length === 0) return null;
+
+  // Filters first: "something purple" must not count as a plain "something"
+  for (const [attribute, filter] of Object.entries(FILTER_ATTRIBUTES)) {
+    for (const phrase of locale[filter.phrases] || []) {
+      const value = matchFilterPhrase(words, phrase, filter.slot, locale[filter.words], locale.negationWords);
+      if (value) return { type: 'filter', attribute, value };
+    }
+  }
+
+  for (const type of COMMAND_ORDER) {
+    const phrases = (locale.commands && locale.commands[type]) || [];
+    if (phrases.some(phrase => startsWithPhrase(words, normalizeText(phrase).split(' ')))) {
+      return { type };
+    }
+  }
+  return null;
+}
+
+// "please go back" -> "go back"; anything after a command is ignored anyway
+function dropLeadingFillers(words, fillerWords = []) {
+  const fillers = fillerWords.map(normalizeText);
+  let start = 0;
+  while (start < words.length && fillers.includes(words[start])) start++;
+  return words.slice(start);
+}
+
+// True if the transcript words begin with the phrase words ("next one please")
+function startsWithPhrase(words, phraseWords) {
+  return phraseWords.length <= words.length && phraseWords.every((word, i) => words[i] === word);
+}
+
+// Matches a phrase like "something {color}"; returns the id of the slot's word or null
+function matchFilterPhrase(words, phrase, slot, slotWords, negationWords = []) {
+  const phraseWords = normalizeText(phrase.replace(`{${slot}}`, ' slotword ')).split(' ');
+  // A bare slot would turn any mention of a season into a filter
+  const lastStart = phraseWords.length === 1 ? 0 : words.length - phraseWords.length;
+  for (let start = 0; start <= lastStart; start++) {
+    if (isNegative(words.slice(0, start).join(' '), negationWords)) break;
+    let value = null;
+    const matches = phraseWords.every((phraseWord, i) => {
+      const word = words[start + i];
+      if (phraseWord !== 'slotword') return word === phraseWord;
+      value = findSlotWord(word, slotWords);
+      return value !== null;
+    });
+    if (matches) return value;
+  }
+  return null;
+}
+
+// slotWords: { purple: ['purple', 'lilac'], ... }
+function findSlotWord(word, slotWords) {
+  for (const [value, valueWords] of Object.entries(slotWords || {})) {
+    for (const valueWord of valueWords) {
+      const stem = normalizeText(valueWord);
+      if (word.startsWith(stem) && word.length <= stem.length + SLOT_WORD_EXTRA_LETTERS) return value;
+    }
+  }
+  return null;
+}
+
+// ==============================================
+// FILTERS - Flowers with a given color, season or origin
+// ==============================================
+// flowers: manifest entries with optional lists of ids per attribute ("colors": ["red"])
+function findFlowersWith(flowers, attribute, value) {
+  const indices = [];
+  flowers.forEach((flower, i) => {
+    if ((flower[attribute] || []).includes(value)) indices.push(i);
+  });
+  return indices;
+}
+
+// First word of the locale for the id, or the id itself
+function attributeWord(attribute, value, locale) {
+  const words = locale[FILTER_ATTRIBUTES[attribute].words] || {};
+  return (words[value] || [value])[0];
+}
+
+// Export for Node tools; the browser uses the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { FILTER_ATTRIBUTES, parseVoiceCommand, findFlowersWith, attributeWord };
+}